@@ -1,351 +1,275 @@
-// External API call logic (Fuzzwork, ESI)
+// Item name resolution, pricing and ship valuation across the price providers
 console.log("api.js loaded");
 
-// Fuzzwork API endpoints
-const FUZZWORK_API_BASE = 'https://market.fuzzwork.co.uk/api/';
+// Trade hubs that can be chosen in Settings, keyed by settings.tradeHub
+const TRADE_HUBS = {
+    jita: { name: 'Jita IV - Moon 4 - Caldari Navy Assembly Plant', regionId: 10000002, stationId: 60003760 },
+    amarr: { name: 'Amarr VIII (Oris) - Emperor Family Academy', regionId: 10000043, stationId: 60008494 },
+    dodixie: { name: 'Dodixie IX - Moon 20 - Federation Navy Assembly Plant', regionId: 10000032, stationId: 60011866 },
+    rens: { name: 'Rens VI - Moon 8 - Brutor Tribe Treasury', regionId: 10000030, stationId: 60004588 },
+    hek: { name: 'Hek VIII - Moon 12 - Boundless Creation Factory', regionId: 10000042, stationId: 60005686 }
+};
 
-// ESI API endpoints and constants
-const ESI_BASE_URL = 'https://esi.evetech.net/latest';
-const THE_FORGE_REGION_ID = 10000002;
-const JITA_4_4_STATION_ID = 60003760;
+// Which order side a valuation uses, keyed by what is being valued: loot is
+// dumped into buy orders, while a fitting would have to be rebought from sell orders
+const PRICE_SIDE_SETTINGS = {
+    fitting: 'fittingPriceSide',
+    loot: 'lootPriceSide'
+};
+
+// Source shown for items priced by a manual override (see getPriceOverrides() in db.js)
+const PRICE_OVERRIDE_SOURCE = 'Override';
 
 /**
- * Convert item names to type IDs using multiple fallback methods
- * @param {string[]} itemNames - Array of item names to lookup
- * @returns {Promise<Map<string, number>>} - Map of item names to type IDs
+ * Read the pricing strategy and cache preferences from Settings, falling back to
+ * the defaults if settings can't be read (e.g. the database isn't open yet)
+ * @param {string} [use] - 'fitting' or 'loot', choosing which side setting applies
+ * @returns {Promise<Object>} - { hub, strategy, cacheMaxAgeMs, staleMaxAgeMs, useStalePricesOffline }, where strategy is
+ *   { hubKey, side ('buy'|'sell'|'split'), method ('percentile'|'volumeWeighted'), percentile, minVolume },
+ *   cacheMaxAgeMs is how long a cached price is used before refetching and staleMaxAgeMs
+ *   the oldest a cached price can be to stand in when offline
  */
-async function getTypeIds(itemNames) {
-    if (!itemNames || itemNames.length === 0) {
-        return new Map();
-    }
-
-    const typeIds = new Map();
-    
-    // Common items cache for faster lookup (from backup file)
-    const commonItems = {
-        'rifter': 587,
-        'merlin': 603,
-        'punisher': 625,
-        'tristan': 582,
-        'atron': 608,
-        'incursus': 606,
-        'kestrel': 602,
-        'venture': 32880,
-        'plex': 29668,
-        'skill injector': 40519,
-        'skill extractor': 40520,
-        'damage control i': 519,
-        'small armor repairer i': 518,
-        'small shield booster i': 3831,
-        'salvager i': 25861,
-        'mobile tractor unit': 24348,
-        'afterburner i': 438,
-        'cormorant': 601,
-        'small shield booster i': 3831
-    };
-    
+async function getPricingSettings(use = 'fitting') {
+    let settings = {};
     try {
-        const promises = itemNames.map(async (itemName) => {
-            try {
-                console.log(`Looking up type ID for: ${itemName}`);
-                const normalizedName = itemName.toLowerCase().trim();
-                
-                // Check common items cache first
-                if (commonItems[normalizedName]) {
-                    console.log(`Found ${itemName} in common items cache: ${commonItems[normalizedName]}`);
-                    return { name: itemName, typeId: commonItems[normalizedName] };
-                }
-                
-                // Try direct Fuzzwork lookup (more reliable than ESI search)
-                return await getFuzzworkTypeId(itemName);
-                
-            } catch (error) {
-                console.error(`Error fetching type ID for ${itemName}:`, error);
-                return null;
-            }
-        });
-        
-        const results = await Promise.all(promises);
-        
-        results.forEach(result => {
-            if (result) {
-                typeIds.set(result.name, result.typeId);
-            }
-        });
-        
+        settings = await getSettings();
     } catch (error) {
-        console.error('Error in getTypeIds:', error);
+        console.warn('Could not read pricing settings, using defaults:', error);
     }
+    settings = { ...DEFAULT_SETTINGS, ...settings };
     
-    return typeIds;
+    const hubKey = TRADE_HUBS[settings.tradeHub] ? settings.tradeHub : 'jita';
+    const side = settings[PRICE_SIDE_SETTINGS[use] || PRICE_SIDE_SETTINGS.fitting];
+    return {
+        hub: TRADE_HUBS[hubKey],
+        strategy: {
+            hubKey,
+            side: ['buy', 'sell', 'split'].includes(side) ? side : 'sell',
+            method: settings.priceMethod === 'volumeWeighted' ? 'volumeWeighted' : 'percentile',
+            percentile: settings.pricePercentile,
+            minVolume: settings.priceMinVolume
+        },
+        cacheMaxAgeMs: settings.priceCacheHours * 3600000,
+        staleMaxAgeMs: settings.priceMaxAgeDays > 0 ? settings.priceMaxAgeDays * 86400000 : Infinity,
+        useStalePricesOffline: settings.useStalePricesOffline !== false
+    };
 }
 
 /**
- * Fallback function to get type ID from Fuzzwork API
- * @param {string} itemName - Item name to search for
- * @returns {Promise<Object|null>} - Result object or null
+ * @param {Object} strategy - Pricing strategy from getPricingSettings()
+ * @returns {string} - Stable key for caching prices, e.g. "jita:sell:percentile:5:0"
  */
-async function getFuzzworkTypeId(itemName) {
-    try {
-        console.log(`Trying Fuzzwork lookup for: ${itemName}`);
-        
-        // Apply rate limiting
-        await rateLimitedFetch();
-        
-        // Use the correct Fuzzwork API endpoint from backup
-        const response = await fetch(`https://www.fuzzwork.co.uk/api/typeid.php?typename=${encodeURIComponent(itemName)}`);
-        
-        if (!response.ok) {
-            console.warn(`Fuzzwork lookup failed for ${itemName}: ${response.status}`);
-            return null;
-        }
-        
-        const data = await response.json();
-        
-        let typeId = null;
-        
-        // Handle API response format (from backup)
-        if (Array.isArray(data)) {
-            typeId = data.length > 0 ? data[0].typeID : null;
-        } else if (data.typeID) {
-            typeId = data.typeID;
-        }
-        
-        if (typeId && typeId > 0) {
-            console.log(`Fuzzwork found type ID ${typeId} for ${itemName}`);
-            return { name: itemName, typeId: typeId };
-        }
-        
-        console.warn(`Fuzzwork: No type ID found for ${itemName}`);
-        return null;
-        
-    } catch (error) {
-        console.error(`Fuzzwork lookup error for ${itemName}:`, error);
-        return null;
+function getPriceStrategyKey({ hubKey, side, method, percentile, minVolume }) {
+    return [hubKey, side, method, percentile, minVolume].join(':');
+}
+
+/**
+ * @param {Object} strategy - Pricing strategy from getPricingSettings()
+ * @returns {string} - e.g. "Jita sell, top 5% average, orders of 10+ units"
+ */
+function describePriceStrategy(strategy) {
+    if (!strategy) {
+        return 'Unknown pricing';
     }
+    const hubName = strategy.hubKey.charAt(0).toUpperCase() + strategy.hubKey.slice(1);
+    const side = strategy.side === 'split' ? 'buy/sell split' : strategy.side;
+    const method = strategy.method === 'volumeWeighted'
+        ? `volume-weighted best ${strategy.percentile}%`
+        : `top ${strategy.percentile}% average`;
+    const volume = strategy.minVolume > 0 ? `, orders of ${strategy.minVolume.toLocaleString()}+ units` : '';
+    return `${hubName} ${side}, ${method}${volume}`;
 }
 
 /**
- * Get market prices for type IDs using ESI API
- * @param {number[]} typeIds - Array of type IDs to get prices for
- * @returns {Promise<Map<number, number>>} - Map of type IDs to prices
+ * Read from a local store (price cache, SDE types), treating an unreadable store
+ * as empty so pricing still works from the network (e.g. before the database is open)
+ * @param {Function} read - Store read returning a Promise<Map>
+ * @returns {Promise<Map>}
  */
-async function getPrices(typeIds) {
-    if (!typeIds || typeIds.length === 0) {
+async function readLocalStore(read) {
+    try {
+        return await read();
+    } catch (error) {
+        console.warn('Could not read local store:', error);
         return new Map();
     }
+}
 
-    const prices = new Map();
-    
+async function writePriceCache(write) {
     try {
-        console.log(`Fetching prices for ${typeIds.length} items`);
-        
-        // Process each type ID individually to get accurate Jita pricing
-        const pricePromises = typeIds.map(async (typeId) => {
-            try {
-                console.log(`Fetching market data for type ID: ${typeId}`);
-                
-                // Step 1: Fetch all sell orders from The Forge region
-                const response = await fetch(`${ESI_BASE_URL}/markets/${THE_FORGE_REGION_ID}/orders?type_id=${typeId}&order_type=sell`);
-                
-                if (!response.ok) {
-                    if (response.status === 404) {
-                        console.warn(`No market data found for type ID ${typeId} (item may not be tradeable)`);
-                        return { typeId, price: null };
-                    }
-                    console.warn(`Failed to get market data for type ID ${typeId}: ${response.status}`);
-                    return { typeId, price: null };
-                }
-                
-                const allOrders = await response.json();
-                
-                if (!Array.isArray(allOrders) || allOrders.length === 0) {
-                    console.warn(`No sell orders found for type ID ${typeId}`);
-                    return { typeId, price: null };
-                }
-                
-                // Step 2: Filter orders to include only those at Jita 4-4 station
-                const jitaOrders = allOrders.filter(order => 
-                    order.location_id === JITA_4_4_STATION_ID && 
-                    order.volume_remain > 0
-                );
-                
-                if (jitaOrders.length === 0) {
-                    console.warn(`No sell orders found at Jita 4-4 for type ID ${typeId}`);
-                    // Fallback to any orders in The Forge region
-                    const forgeOrders = allOrders.filter(order => order.volume_remain > 0);
-                    if (forgeOrders.length > 0) {
-                        forgeOrders.sort((a, b) => a.price - b.price);
-                        const fallbackPrice = forgeOrders[0].price;
-                        console.log(`Type ID ${typeId}: Using fallback price ${fallbackPrice} ISK from The Forge region`);
-                        return { typeId, price: fallbackPrice };
-                    }
-                    return { typeId, price: null };
+        await write();
+    } catch (error) {
+        console.warn('Could not update price cache:', error);
+    }
+}
+
+/**
+ * Convert item names to type IDs, asking each provider that resolves names in
+ * the order set in Settings. Names resolved online before are reused without
+ * expiry (type IDs never change) in place of the first network provider.
+ * @param {string[]} itemNames - Array of item names to lookup
+ * @param {Object} [options] - { signal, onProgress } as for calculateShipValueDetailed
+ * @returns {Promise<Map<string, number>>} - Map of item names to type IDs
+ */
+async function getTypeIds(itemNames, options = {}) {
+    const typeIds = new Map();
+    if (!itemNames || itemNames.length === 0) {
+        return typeIds;
+    }
+    
+    let remaining = [...new Set(itemNames)];
+    let cacheChecked = false;
+    const newlyResolved = [];
+    
+    for (const provider of await getEnabledProviders('resolveTypeIds')) {
+        if (provider.network && !cacheChecked) {
+            cacheChecked = true;
+            const cachedTypeIds = await readLocalStore(() => getCachedTypeIds(remaining.map(normalizeTypeName)));
+            remaining = remaining.filter(name => {
+                const cached = cachedTypeIds.get(normalizeTypeName(name));
+                if (cached) {
+                    typeIds.set(name, cached.typeId);
                 }
-                
-                // Step 3: Sort filtered orders by price in ascending order
-                jitaOrders.sort((a, b) => a.price - b.price);
-                
-                // Step 4: Calculate top 5% (minimum 1 order)
-                const top5Count = Math.max(1, Math.ceil(jitaOrders.length * 0.05));
-                const top5Orders = jitaOrders.slice(0, top5Count);
-                
-                // Step 5: Calculate average price of top 5% orders
-                const totalPrice = top5Orders.reduce((sum, order) => sum + order.price, 0);
-                const averagePrice = totalPrice / top5Orders.length;
-                
-                const finalPrice = Math.round(averagePrice * 100) / 100; // Round to 2 decimal places
-                console.log(`Type ID ${typeId}: Top 5% average price ${finalPrice} ISK from ${top5Orders.length} orders`);
-                
-                return { typeId, price: finalPrice };
-                
-            } catch (error) {
-                console.error(`Error fetching price for type ID ${typeId}:`, error);
-                return { typeId, price: null };
-            }
-        });
-        
-        // Wait for all price fetches to complete
-        const results = await Promise.all(pricePromises);
+                return !cached;
+            });
+        }
+        if (remaining.length === 0) {
+            break;
+        }
         
-        // Build the prices map
-        results.forEach(result => {
-            if (result.price !== null) {
-                prices.set(result.typeId, result.price);
+        console.log(`Looking up ${remaining.length} type IDs with ${provider.label}`);
+        const resolved = await askProvider(provider, 'resolveTypeIds', [remaining, options]);
+        const fetchedAt = new Date().toISOString();
+        resolved.forEach((typeId, name) => {
+            typeIds.set(name, typeId);
+            if (provider.network) {
+                newlyResolved.push({ name: normalizeTypeName(name), typeId, source: provider.label, fetchedAt });
             }
         });
-        
-        console.log(`Successfully fetched prices for ${prices.size} out of ${typeIds.length} items`);
-        
-    } catch (error) {
-        console.error('Error in getPrices:', error);
-        
-        // If ESI is completely unavailable, fallback to Fuzzwork
-        console.log('ESI unavailable, attempting Fuzzwork fallback...');
-        return await getFuzzworkPrices(typeIds);
+        remaining = remaining.filter(name => !resolved.has(name));
+    }
+    
+    if (remaining.length > 0) {
+        console.warn(`No type ID found for: ${remaining.join(', ')}`);
+    }
+    if (newlyResolved.length > 0) {
+        await writePriceCache(() => saveCachedTypeIds(newlyResolved));
     }
     
-    return prices;
+    return typeIds;
 }
 
 /**
- * Fallback function to get prices from Fuzzwork API
+ * Get market prices for type IDs using the pricing strategy in Settings
  * @param {number[]} typeIds - Array of type IDs to get prices for
+ * @param {string} [use] - 'fitting' or 'loot'
+ * @param {Object} [options] - { signal, onProgress } as for calculateShipValueDetailed
  * @returns {Promise<Map<number, number>>} - Map of type IDs to prices
  */
-async function getFuzzworkPrices(typeIds) {
-    const prices = new Map();
+async function getPrices(typeIds, use = 'fitting', options = {}) {
+    const { quotes } = await getPriceQuotes(typeIds, use, options);
+    return new Map(Array.from(quotes, ([typeId, quote]) => [typeId, quote.price]));
+}
+
+/**
+ * Get market prices along with where each one came from, asking each provider
+ * that prices items in the order set in Settings. Prices cached for less than
+ * Settings' refetch hours stand in for the first network provider, so only the
+ * rest are requested. Prices that can't be fetched at all (e.g. offline) fall
+ * back to expired cached prices, no older than the stale age, marked as
+ * estimated, unless Settings turn that off.
+ * @param {number[]} typeIds - Array of type IDs to get prices for
+ * @param {string} [use] - 'fitting' or 'loot'
+ * @param {Object} [options] - { signal, onProgress } as for calculateShipValueDetailed
+ * @returns {Promise<Object>} - { strategy, quotes } where quotes maps type IDs to
+ *   { price, source, fetchedAt, estimated }
+ */
+async function getPriceQuotes(typeIds, use = 'fitting', options = {}) {
+    const quotes = new Map();
+    const { hub, strategy, cacheMaxAgeMs, staleMaxAgeMs, useStalePricesOffline } = await getPricingSettings(use);
+    if (!typeIds || typeIds.length === 0) {
+        return { strategy, quotes };
+    }
     
-    try {
-        console.log(`Fetching fallback prices from Fuzzwork for ${typeIds.length} items`);
-        
-        // Process each type ID individually for better error handling
-        for (const typeId of typeIds) {
-            try {
-                await rateLimitedFetch();
-                
-                // Use the aggregated pricing API
-                const response = await fetch(`https://market.fuzzwork.co.uk/aggregates/?region=10000002&types=${typeId}`);
-                
-                if (!response.ok) {
-                    console.warn(`Failed to get fallback price for type ID ${typeId}: ${response.status}`);
-                    continue;
-                }
-                
-                const data = await response.json();
-                
-                // Extract price from the aggregated data
-                if (data[typeId] && data[typeId].sell && data[typeId].sell.min) {
-                    const price = data[typeId].sell.min;
-                    prices.set(typeId, price);
-                    console.log(`Fuzzwork fallback - Type ID ${typeId}: ${price} ISK`);
+    const strategyKey = getPriceStrategyKey(strategy);
+    const cacheKey = (typeId) => getPriceCacheKey(strategyKey, typeId);
+    // Items sharing a type ID (e.g. the same module in loot and cargo) are priced once
+    let remaining = [...new Set(typeIds)];
+    const cached = await readLocalStore(() => getCachedPrices(remaining.map(cacheKey)));
+    let cacheChecked = false;
+    const fetched = [];
+    
+    for (const provider of await getEnabledProviders('getPrices')) {
+        if (provider.network && !cacheChecked) {
+            cacheChecked = true;
+            remaining = remaining.filter(typeId => {
+                const entry = cached.get(cacheKey(typeId));
+                const fresh = entry && Date.now() - new Date(entry.fetchedAt).getTime() <= cacheMaxAgeMs;
+                if (fresh) {
+                    quotes.set(typeId, { price: entry.price, source: entry.source, fetchedAt: entry.fetchedAt, estimated: false });
                 }
-                
-            } catch (error) {
-                console.error(`Error fetching fallback price for type ID ${typeId}:`, error);
-                continue;
-            }
+                return !fresh;
+            });
+            console.log(`Using ${quotes.size} cached ${strategyKey} prices`);
+        }
+        if (remaining.length === 0) {
+            break;
         }
         
-        console.log(`Fallback: Successfully fetched ${prices.size} prices from Fuzzwork`);
-        
-    } catch (error) {
-        console.error('Error in getFuzzworkPrices fallback:', error);
+        const prices = await askProvider(provider, 'getPrices', [remaining, hub, strategy, options]);
+        const fetchedAt = new Date().toISOString();
+        prices.forEach((price, typeId) => {
+            quotes.set(typeId, { price, source: provider.label, fetchedAt, estimated: false });
+            if (provider.network) {
+                fetched.push({ key: cacheKey(typeId), typeId, price, source: provider.label, fetchedAt });
+            }
+        });
+        remaining = remaining.filter(typeId => !prices.has(typeId));
+    }
+    
+    if (fetched.length > 0) {
+        await writePriceCache(() => saveCachedPrices(fetched));
+    }
+    
+    if (useStalePricesOffline) {
+        remaining.forEach(typeId => {
+            const entry = cached.get(cacheKey(typeId));
+            if (entry && Date.now() - new Date(entry.fetchedAt).getTime() <= staleMaxAgeMs) {
+                console.warn(`Type ID ${typeId}: using cached price from ${entry.fetchedAt} as an estimate`);
+                quotes.set(typeId, { price: entry.price, source: entry.source, fetchedAt: entry.fetchedAt, estimated: true });
+            }
+        });
     }
     
-    return prices;
+    return { strategy, quotes };
 }
 
 /**
- * Calculate total value of a ship fitting
+ * Calculate total value of a ship fitting; see calculateShipValueDetailed for the breakdown
  * @param {Map<string, number>} items - Map of item names to quantities
+ * @param {Object} [options] - { signal, onProgress } as for calculateShipValueDetailed
  * @returns {Promise<number>} - Total ISK value
  */
-async function calculateShipValue(items) {
-    if (!items || items.size === 0) {
-        return 0;
-    }
-
-    try {
-        console.log('Calculating ship value for', items.size, 'items');
-        
-        // Convert item names to type IDs
-        const itemNames = Array.from(items.keys());
-        const typeIds = await getTypeIds(itemNames);
-        
-        console.log(`Found type IDs for ${typeIds.size} out of ${itemNames.length} items`);
-        
-        if (typeIds.size === 0) {
-            console.warn('No type IDs found for any items - API may be unavailable');
-            return 0;
-        }
-        
-        // Get prices for all type IDs
-        const typeIdArray = Array.from(typeIds.values());
-        const prices = await getPrices(typeIdArray);
-        
-        console.log(`Found prices for ${prices.size} out of ${typeIdArray.length} type IDs`);
-        
-        // Calculate total value
-        let totalValue = 0;
-        let successfullyPriced = 0;
-        
-        for (const [itemName, quantity] of items) {
-            const typeId = typeIds.get(itemName);
-            if (typeId) {
-                const price = prices.get(typeId);
-                if (price) {
-                    totalValue += price * quantity;
-                    successfullyPriced++;
-                    console.log(`${itemName} (${quantity}x): ${price.toLocaleString()} ISK each`);
-                } else {
-                    console.warn(`No price found for ${itemName} (typeId: ${typeId})`);
-                }
-            } else {
-                console.warn(`No type ID found for ${itemName}`);
-            }
-        }
-        
-        console.log(`Successfully priced ${successfullyPriced} out of ${items.size} items`);
-        console.log(`Total ship value: ${totalValue.toLocaleString()} ISK`);
-        
-        return totalValue;
-        
-    } catch (error) {
-        console.error('Error calculating ship value:', error);
-        
-        // Return 0 if calculation fails
-        console.log('Ship value calculation failed - returning 0');
-        return 0;
-    }
+async function calculateShipValue(items, options = {}) {
+    const valuation = await calculateShipValueDetailed(items, 'fitting', options);
+    return valuation.totalValue;
 }
 
 /**
  * Enhanced calculateShipValue function with better error handling
  * @param {Map<string, number>} items - Map of item names to quantities
- * @returns {Promise<Object>} - Object with value and item details
+ * @param {string} [use] - 'fitting' or 'loot', choosing the price side from Settings
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the valuation; it then rejects with an AbortError
+ * @param {Function} [options.onProgress] - Called with { stage, done, total, source } as lookups
+ *   finish, where stage is 'resolving' (item names) or 'pricing' and source is the provider's label
+ * @returns {Promise<Object>} - Object with value and item details, including where each
+ *   price came from (PRICE_OVERRIDE_SOURCE, with the `override` used, for manual
+ *   overrides) and whether any is an estimate from expired cached prices, the
+ *   names that couldn't be resolved (`unresolved`) with suggestions, and the pricing
+ *   `strategy` used so values priced differently can be told apart
  */
-async function calculateShipValueDetailed(items) {
+async function calculateShipValueDetailed(items, use = 'fitting', options = {}) {
     if (!items || items.size === 0) {
         return { totalValue: 0, items: [], success: true };
     }
@@ -363,27 +287,41 @@ async function calculateShipValueDetailed(items) {
             quantity
         }));
         
+        // Manual price overrides come first; items overridden by name aren't looked up at all
+        const overrides = await getActivePriceOverrides();
+        const nameOverride = name => overrides.get(getPriceOverrideKey({ name }));
+        const typeIdOverride = typeId => overrides.get(getPriceOverrideKey({ typeId }));
+        
         // Get type IDs for all items
         const itemNames = itemArray.map(item => item.name);
-        const typeIds = await getTypeIds(itemNames);
+        const namesToResolve = itemNames.filter(name => !nameOverride(name));
+        const typeIds = await getTypeIds(namesToResolve, options);
+        
+        console.log(`Found type IDs for ${typeIds.size} out of ${namesToResolve.length} items`);
         
-        console.log(`Found type IDs for ${typeIds.size} out of ${itemNames.length} items`);
+        // Names nobody recognised, with "did you mean" suggestions from the imported SDE
+        const unresolved = await getUnresolvedNames(namesToResolve.filter(name => !typeIds.has(name)));
         
-        if (typeIds.size === 0) {
+        if (typeIds.size === 0 && namesToResolve.length === itemNames.length) {
             console.warn('No type IDs found for any items');
-            return { totalValue: 0, items: [], success: false, error: 'No type IDs found' };
+            return { totalValue: 0, items: getUnpricedItemDetails(items), unresolved, success: false, error: 'No type IDs found' };
         }
         
-        // Get prices for all type IDs
-        const typeIdArray = Array.from(typeIds.values());
-        const prices = await getPrices(typeIdArray);
+        // Get market prices for the type IDs without an override
+        const typeIdArray = Array.from(typeIds.values()).filter(typeId => !typeIdOverride(typeId));
+        const { strategy, quotes } = await getPriceQuotes(typeIdArray, use, options);
         
-        console.log(`Found prices for ${prices.size} out of ${typeIdArray.length} type IDs`);
+        console.log(`Found prices for ${quotes.size} out of ${typeIdArray.length} type IDs`);
         
         // Process each item
+        let estimated = false;
         for (const item of itemArray) {
             const typeId = typeIds.get(item.name);
-            const price = typeId ? prices.get(typeId) : null;
+            const override = nameOverride(item.name) || (typeId && typeIdOverride(typeId)) || null;
+            const quote = override
+                ? { price: override.price, source: PRICE_OVERRIDE_SOURCE, fetchedAt: override.updatedAt, estimated: false }
+                : typeId ? quotes.get(typeId) : null;
+            const price = quote ? quote.price : null;
             
             const itemDetail = {
                 name: item.name,
@@ -391,14 +329,20 @@ async function calculateShipValueDetailed(items) {
                 typeId: typeId,
                 unitPrice: price,
                 totalPrice: price ? price * item.quantity : 0,
-                success: !!price
+                source: quote ? quote.source : null,
+                pricedAt: quote ? quote.fetchedAt : null,
+                estimated: quote ? quote.estimated : false,
+                override: override ? { key: override.key, note: override.note, expiresAt: override.expiresAt } : null,
+                // An override of 0 ISK still prices the item
+                success: !!price || !!override
             };
             
             itemDetails.push(itemDetail);
             
-            if (price) {
+            if (itemDetail.success) {
                 totalValue += itemDetail.totalPrice;
                 successCount++;
+                estimated = estimated || quote.estimated;
                 console.log(`${item.name} (${item.quantity}x): ${price.toLocaleString()} ISK each`);
             } else {
                 console.warn(`No price found for ${item.name}${typeId ? ` (typeId: ${typeId})` : ''}`);
@@ -411,16 +355,22 @@ async function calculateShipValueDetailed(items) {
         return {
             totalValue,
             items: itemDetails,
+            unresolved,
+            strategy,
             success: true,
+            estimated, // True if any price is an expired cached one used while offline
             successCount,
             totalItems: items.size
         };
         
     } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
         console.error('Error calculating detailed ship value:', error);
         return {
             totalValue: 0,
-            items: [],
+            items: getUnpricedItemDetails(items),
             success: false,
             error: error.message
         };
@@ -428,63 +378,85 @@ async function calculateShipValueDetailed(items) {
 }
 
 /**
- * Check if the ESI API is available
- * @returns {Promise<boolean>} - True if API is accessible
+ * Breakdown rows for items that couldn't be priced at all, so a failed valuation
+ * still lists them and they can be retried
+ * @param {Map<string, number>} items - Map of item names to quantities
+ * @returns {Object[]} - Item details as from calculateShipValueDetailed, none of them priced
  */
-async function isApiAvailable() {
+function getUnpricedItemDetails(items) {
+    return Array.from(items, ([name, quantity]) => ({
+        name,
+        quantity,
+        typeId: null,
+        unitPrice: null,
+        totalPrice: 0,
+        source: null,
+        pricedAt: null,
+        estimated: false,
+        override: null,
+        success: false
+    }));
+}
+
+/**
+ * Price overrides that haven't expired, treating an unreadable store as empty
+ * @returns {Promise<Map<string, Object>>} - getPriceOverrideKey() key => override
+ */
+async function getActivePriceOverrides() {
+    let overrides = [];
     try {
-        // Check ESI status endpoint
-        const response = await fetch(`${ESI_BASE_URL}/status/`, {
-            method: 'GET',
-            mode: 'cors'
-        });
-        
-        if (response.ok) {
-            console.log('ESI API is available');
-            return true;
-        }
-        
-        console.warn('ESI API returned non-OK status:', response.status);
-        
+        overrides = await getPriceOverrides();
     } catch (error) {
-        console.warn('ESI API health check failed:', error);
+        console.warn('Could not read price overrides:', error);
     }
-    
-    // Fallback to check Fuzzwork API
-    try {
-        console.log('Checking Fuzzwork API availability...');
-        const fallbackResponse = await fetch(`${FUZZWORK_API_BASE}typeID.php?typename=Tritanium`, {
-            method: 'GET',
-            mode: 'cors'
-        });
-        
-        if (fallbackResponse.ok) {
-            console.log('Fuzzwork API is available');
-            return true;
+    const now = Date.now();
+    return new Map(overrides
+        .filter(override => !override.expiresAt || new Date(override.expiresAt).getTime() > now)
+        .map(override => [override.key, override]));
+}
+
+/**
+ * @param {string[]} names - Item names that didn't resolve to a type ID
+ * @returns {Promise<Object[]>} - [{ name, suggestions }]
+ */
+async function getUnresolvedNames(names) {
+    return Promise.all(names.map(async (name) => {
+        let suggestions = [];
+        try {
+            suggestions = await suggestTypeNames(name);
+        } catch (error) {
+            console.warn(`Could not suggest names for ${name}:`, error);
         }
-        
-        console.warn('Fuzzwork API also returned non-OK status:', fallbackResponse.status);
-        
-    } catch (fallbackError) {
-        console.warn('Fuzzwork API health check also failed:', fallbackError);
+        return { name, suggestions };
+    }));
+}
+
+/**
+ * Check if any enabled network provider (ESI, Fuzzwork) is available
+ * @returns {Promise<boolean>} - True if at least one is accessible
+ */
+async function isApiAvailable() {
+    const providers = await getEnabledProviders('checkHealth');
+    const health = await checkProviderHealth(providers.filter(provider => provider.network).map(provider => provider.id));
+    
+    health.forEach(({ label, available }) => {
+        console.log(`${label} is ${available ? 'available' : 'unavailable'}`);
+    });
+    if (health.some(({ available }) => available)) {
+        return true;
     }
     
-    console.error('Both ESI and Fuzzwork APIs are unavailable');
+    console.error('No market API is available');
     return false;
 }
 
-// Rate limiting for API calls
-let lastApiCall = 0;
-const MIN_API_INTERVAL = 100; // 100ms between API calls
-
 /**
- * Rate limiting helper
+ * Pass progress to the caller's onProgress callback, if it gave one
+ * @param {Object} options - Options with an optional onProgress
+ * @param {string} stage - 'resolving' or 'pricing'
  */
-async function rateLimitedFetch() {
-    const now = Date.now();
-    const timeSinceLastCall = now - lastApiCall;
-    if (timeSinceLastCall < MIN_API_INTERVAL) {
-        await new Promise(resolve => setTimeout(resolve, MIN_API_INTERVAL - timeSinceLastCall));
+function reportProgress(options, stage, done, total) {
+    if (options.onProgress) {
+        options.onProgress({ stage, done, total });
     }
-    lastApiCall = Date.now();
-}
\ No newline at end of file
+}
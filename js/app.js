@@ -2,8 +2,20 @@
 document.addEventListener('DOMContentLoaded', async () => {
     console.log("DOM fully loaded and parsed. Initializing app.");
 
+    const appNotice = document.getElementById('app-notice');
+
+    function showAppNotice(message) {
+        appNotice.textContent = message;
+        appNotice.style.display = '';
+    }
+
     try {
-        await initDB(); // Initialize the database
+        // Initialize the database, running any pending schema migrations
+        await initDB({
+            onVersionChange: () => showAppNotice('A newer version of the tracker was opened in another tab. Reload this page to keep using it.'),
+            onBlocked: () => showAppNotice('Updating the database... close any other tabs running an older version of the tracker to continue.')
+        });
+        appNotice.style.display = 'none';
         console.log("Database initialization completed successfully.");
     } catch (error) {
         console.error("Failed to initialize database:", error);
@@ -17,12 +29,55 @@ document.addEventListener('DOMContentLoaded', async () => {
     const shipListDiv = document.getElementById('ship-list');
     const addMissionForm = document.getElementById('add-mission-form');
     const missionListDiv = document.getElementById('mission-list');
+    const activeRunArticle = document.getElementById('active-run');
+    const noActiveRunText = document.getElementById('no-active-run');
+    const runTimerDisplay = document.getElementById('active-run-timer');
+    const pauseRunBtn = document.getElementById('pause-run-btn');
+    const resumeRunBtn = document.getElementById('resume-run-btn');
+    const completeRunBtn = document.getElementById('complete-run-btn');
+    const abortRunBtn = document.getElementById('abort-run-btn');
+    const liveLogInput = document.getElementById('active-run-live-log');
+    const startRunDialog = document.getElementById('start-run-dialog');
+    const startRunForm = document.getElementById('start-run-form');
+    const startRunShipSelect = document.getElementById('start-run-ship');
+    const startRunChecklist = document.getElementById('start-run-checklist');
+    const startRunWarning = document.getElementById('start-run-warning');
+    const confirmStartRunBtn = document.getElementById('confirm-start-run-btn');
+    const completeRunDialog = document.getElementById('complete-run-dialog');
+    const completeRunForm = document.getElementById('complete-run-form');
+    const runExpensesDiv = document.getElementById('run-expenses');
+    const runPreviewDiv = document.getElementById('complete-run-preview');
+    const historySection = document.getElementById('history-section');
+    const historyFiltersForm = document.getElementById('history-filters');
+    const historyListDiv = document.getElementById('history-list');
+    const reportOptionsForm = document.getElementById('report-options');
+    const settingsForm = document.getElementById('settings-form');
+    const corpRatesDiv = document.getElementById('settings-corp-rates');
+    const providerList = document.getElementById('settings-price-providers');
     
     // Mobile navigation elements
     const navToggle = document.querySelector('.nav-toggle');
     const nav = document.querySelector('nav');
     const navOverlay = document.querySelector('.nav-overlay');
 
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Button text for a valuation's { stage, done, total, source } progress, e.g. "Pricing (ESI) 12/40..."
+    const PRICING_PROGRESS_LABELS = {
+        resolving: 'Looking up items',
+        pricing: 'Pricing'
+    };
+
+    function formatPricingProgress({ stage, done, total, source }) {
+        return `${PRICING_PROGRESS_LABELS[stage] || 'Pricing'}${source ? ` (${source})` : ''} ${done}/${total}...`;
+    }
+
     // --- Mobile Navigation ---
     function toggleMobileNav() {
         nav.classList.toggle('active');
@@ -70,13 +125,42 @@ document.addEventListener('DOMContentLoaded', async () => {
                 renderShips();
             } else if (targetId === 'missions-section') {
                 renderMissions();
+            } else if (targetId === 'dashboard-section') {
+                renderActiveRun();
+            } else if (targetId === 'history-section') {
+                renderHistory();
+            } else if (targetId === 'reports-section') {
+                renderReports();
+            } else if (targetId === 'settings-section') {
+                renderSettings();
             }
         });
     });
 
     // --- Hangar Logic ---
+    /**
+     * Parse ships' fittings, letting the imported SDE tell their drones from cargo.
+     * A ship whose item lookup fails (e.g. the database is busy) gets the plain parse.
+     * @param {Object[]} ships
+     * @returns {Promise<Map<number, Object>>} - Ship ID => result of parseFitting
+     */
+    async function parseShipFittings(ships) {
+        return new Map(await Promise.all(ships.map(async ship => {
+            try {
+                return [ship.id, await parseFittingWithTypes(ship.fitting)];
+            } catch (error) {
+                console.warn(`Could not look up item categories for ${ship.name}, reading its fitting without them:`, error);
+                return [ship.id, parseFitting(ship.fitting)];
+            }
+        })));
+    }
+
     async function renderShips() {
-        const ships = await getShips();
+        const [ships, settings] = await Promise.all([getShips(), getSettings()]);
+        // 0 turns the stale warning off
+        const maxPriceAgeMs = settings.priceMaxAgeDays > 0 ? settings.priceMaxAgeDays * 86400000 : Infinity;
+        // Parsed up front so the SDE can tell their drones from cargo
+        const fittings = await parseShipFittings(ships);
         shipListDiv.innerHTML = ''; // Clear current list
         if (ships.length === 0) {
             shipListDiv.innerHTML = '<p>No ships in your hangar yet.</p>';
@@ -92,6 +176,23 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (ship.value > 0) {
                 valueDisplay = `${ship.value.toLocaleString()} ISK`;
                 statusClass = 'success';
+                
+                // Flag values priced longer ago than Settings allows
+                if (!ship.pricedAt || Date.now() - new Date(ship.pricedAt).getTime() > maxPriceAgeMs) {
+                    valueDisplay += ` <span class="muted">(stale${ship.pricedAt ? `, priced ${new Date(ship.pricedAt).toLocaleDateString()}` : ''})</span>`;
+                    statusClass = 'warning';
+                }
+                if (ship.valueEstimated) {
+                    valueDisplay += ' <span class="muted">(estimated from cached prices)</span>';
+                    statusClass = 'warning';
+                }
+                if (ship.priceStrategy) {
+                    valueDisplay += `<br><small class="muted">${escapeHtml(describePriceStrategy(ship.priceStrategy))}</small>`;
+                }
+                const overriddenItems = getOverriddenItems(ship);
+                if (overriddenItems.length > 0) {
+                    valueDisplay += `<br><small class="muted">Manual price overrides: ${escapeHtml(overriddenItems.join(', '))}</small>`;
+                }
             } else if (ship.value === 0 && ship.fitting) {
                 valueDisplay = 'Price data unavailable';
                 statusClass = 'warning';
@@ -100,17 +201,11 @@ document.addEventListener('DOMContentLoaded', async () => {
                 statusClass = 'error';
             }
             
-            // Show parsed items if available
+            // Show parsed modules by section if available
             let itemsDisplay = '';
             if (ship.fitting) {
-                const { items } = parseFitting(ship.fitting);
-                if (items && items.size > 0) {
-                    itemsDisplay = '<p><strong>Items:</strong></p><ul>';
-                    for (const [itemName, quantity] of items) {
-                        itemsDisplay += `<li>${itemName} x${quantity}</li>`;
-                    }
-                    itemsDisplay += '</ul>';
-                }
+                const fitting = fittings.get(ship.id);
+                itemsDisplay = renderFittingSections(fitting, getOverriddenItems(ship)) + renderDiagnostics(fitting.diagnostics);
             }
             
             // Generate checklist HTML
@@ -118,10 +213,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             checklistHTML += '<h4>Pre-flight Checklist</h4>';
             checklistHTML += '<ul class="checklist" data-ship-id="' + ship.id + '">';
             
-            if (ship.checklist && ship.checklist.length > 0) {
-                ship.checklist.forEach((item, index) => {
+            const checklist = (ship.checklist || []).map(toChecklistEntry);
+            if (checklist.length > 0) {
+                // Items generated from the fitting are flagged once the fitting no longer matches them
+                const mismatches = checkChecklistAgainstFitting(checklist, fittings.get(ship.id));
+                checklist.forEach((entry, index) => {
                     checklistHTML += `<li>
-                        <span class="checklist-item">${item}</span>
+                        <span class="checklist-item">${escapeHtml(entry.text)}</span>
+                        ${mismatches[index] ? `<small class="checklist-warning">${escapeHtml(mismatches[index])}</small>` : ''}
                         <button class="remove-checklist-item" data-ship-id="${ship.id}" data-index="${index}">×</button>
                     </li>`;
                 });
@@ -133,13 +232,21 @@ document.addEventListener('DOMContentLoaded', async () => {
             checklistHTML += '<div class="add-checklist-item">';
             checklistHTML += `<input type="text" class="checklist-input" data-ship-id="${ship.id}" placeholder="Add checklist item...">`;
             checklistHTML += `<button class="add-checklist-btn" data-ship-id="${ship.id}">Add</button>`;
+            if (ship.fitting) {
+                checklistHTML += `<button class="generate-checklist-btn" data-ship-id="${ship.id}" title="Add the drones, cargo and charges in the fitting">Generate from Fitting</button>`;
+            }
             checklistHTML += '</div>';
             checklistHTML += '</div>';
             
+            const activeControl = ship.isActive
+                ? '<span class="tag">Active</span>'
+                : `<button class="activate-ship-btn" data-ship-id="${ship.id}">Set Active</button>`;
+            
             shipCard.innerHTML = `
                 <header>
                     ${ship.name}
                     <div class="ship-actions">
+                        ${activeControl}
                         <button class="edit-ship-btn" data-ship-id="${ship.id}">Edit</button>
                         <button class="delete-ship-btn" data-ship-id="${ship.id}">Delete</button>
                     </div>
@@ -149,17 +256,282 @@ document.addEventListener('DOMContentLoaded', async () => {
                     <span class="status-indicator ${statusClass}"></span>
                     ${valueDisplay}
                 </p>
+                ${renderValueTrend(ship.valueHistory)}
+                ${renderValuationBreakdown(ship)}
                 ${itemsDisplay}
+                ${renderRevisionHistory(ship)}
                 ${checklistHTML}
                 <details>
                     <summary>Fitting</summary>
                     <pre><code>${ship.fitting || 'No fitting provided.'}</code></pre>
                 </details>
+                ${renderExportMenu(ship)}
             `;
             shipListDiv.appendChild(shipCard);
         });
     }
 
+    // Change since the previous valuation, and a sparkline of the ship's value over time
+    function renderValueTrend(valueHistory = []) {
+        if (valueHistory.length < 2) {
+            return '';
+        }
+        const values = valueHistory.map(point => point.value);
+        const previous = valueHistory[valueHistory.length - 2];
+        const change = values[values.length - 1] - previous.value;
+        const percent = change / previous.value * 100;
+        const sign = change >= 0 ? '+' : '';
+
+        const width = 120;
+        const height = 28;
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const points = values.map((value, index) => {
+            const x = index / (values.length - 1) * width;
+            // Keep a pixel clear at the top and bottom so the line isn't clipped
+            const y = max === min ? height / 2 : 1 + (height - 2) * (1 - (value - min) / (max - min));
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        return `<p class="value-trend">
+            <span class="value-change ${change > 0 ? 'up' : change < 0 ? 'down' : ''}">${sign}${Math.round(change).toLocaleString()} ISK (${sign}${percent.toFixed(1)}%)</span>
+            <small class="muted">since ${new Date(previous.pricedAt).toLocaleDateString()}</small>
+            <svg class="value-sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img"
+                aria-label="Value over the last ${values.length} valuations">
+                <title>${Math.round(min).toLocaleString()} to ${Math.round(max).toLocaleString()} ISK since ${new Date(valueHistory[0].pricedAt).toLocaleDateString()}</title>
+                <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/>
+            </svg>
+        </p>`;
+    }
+
+    // The ship's last valuation as a sortable table, one row per item, most valuable first
+    function renderValuationBreakdown(ship) {
+        const items = ship.valuationItems || [];
+        if (items.length === 0) {
+            return '';
+        }
+        const unpricedCount = items.filter(item => !item.success).length;
+        const rows = [...items].sort((a, b) => b.totalPrice - a.totalPrice).map(item => `<tr class="${item.success ? '' : 'unpriced'}">
+            <td data-value="${escapeHtml(item.name)}">${escapeHtml(item.name)}${item.typeId ? ` <span class="muted">#${item.typeId}</span>` : ''}</td>
+            <td data-value="${item.quantity}">${item.quantity.toLocaleString()}</td>
+            <td data-value="${item.success ? item.unitPrice : -1}">${item.success ? `${item.estimated ? '~' : ''}${item.unitPrice.toLocaleString()} ISK` : 'Unpriced'}</td>
+            <td data-value="${item.totalPrice}">${item.success ? `${Math.round(item.totalPrice).toLocaleString()} ISK` : '-'}</td>
+            <td data-value="${escapeHtml(item.source || '')}">${item.success ? `${escapeHtml(item.source)}${item.override && item.override.note ? ` (${escapeHtml(item.override.note)})` : ''}` : ''}</td>
+        </tr>`).join('');
+        const header = (label, sort, ariaSort = 'none') => (
+            `<th data-sort="${sort}" aria-sort="${ariaSort}"><button type="button" class="sort-column-btn">${label}</button></th>`
+        );
+
+        return `<details class="valuation-breakdown">
+            <summary>Valuation Breakdown (${items.length} item${items.length === 1 ? '' : 's'}${unpricedCount > 0 ? `, ${unpricedCount} unpriced` : ''})</summary>
+            <table class="data-table">
+                <thead><tr>
+                    ${header('Item', 'text')}${header('Qty', 'number')}${header('Unit Price', 'number')}${header('Total', 'number', 'descending')}${header('Source', 'text')}
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${unpricedCount > 0 ? `<button type="button" class="retry-unpriced-btn secondary-btn" data-ship-id="${ship.id}">Retry Unpriced Items (${unpricedCount})</button>` : ''}
+        </details>`;
+    }
+
+    // Sort a valuation breakdown by the clicked column: text A-Z and numbers largest
+    // first, flipping the order on the next click
+    function sortValuationTable(header) {
+        const table = header.closest('table');
+        const column = Array.from(header.parentElement.children).indexOf(header);
+        const numeric = header.dataset.sort === 'number';
+        const currentSort = header.getAttribute('aria-sort');
+        const direction = currentSort === 'none'
+            ? (numeric ? 'descending' : 'ascending')
+            : (currentSort === 'descending' ? 'ascending' : 'descending');
+        table.querySelectorAll('th[data-sort]').forEach(th => th.setAttribute('aria-sort', 'none'));
+        header.setAttribute('aria-sort', direction);
+
+        const tbody = table.querySelector('tbody');
+        const cellValue = row => row.children[column].dataset.value;
+        const rows = Array.from(tbody.rows).sort((a, b) => {
+            const order = numeric ? parseFloat(cellValue(a)) - parseFloat(cellValue(b)) : cellValue(a).localeCompare(cellValue(b));
+            return direction === 'ascending' ? order : -order;
+        });
+        tbody.append(...rows);
+    }
+
+    // Price a ship's unpriced items again, keeping the prices of the rest of its last valuation.
+    // If the pricing settings changed since then, the whole fitting is priced again instead,
+    // so the kept prices and the new ones come from the same hub and strategy.
+    async function handleRetryUnpriced(shipId, button) {
+        const originalText = button.textContent;
+        button.textContent = 'Pricing...';
+        button.disabled = true;
+
+        try {
+            const ship = await getShip(shipId);
+            const items = (ship && ship.valuationItems) || [];
+            const failed = items.filter(item => !item.success);
+            if (failed.length === 0) {
+                return;
+            }
+
+            const onProgress = progress => { button.textContent = formatPricingProgress(progress); };
+            const { strategy } = await getPricingSettings('fitting');
+            if (!ship.priceStrategy || getPriceStrategyKey(ship.priceStrategy) !== getPriceStrategyKey(strategy)) {
+                const reason = ship.priceStrategy ? 'used other pricing settings' : 'has no pricing settings recorded';
+                const { valuation, fittingData } = await priceFitting(ship.fitting, { onProgress });
+                if (!(fittingData.value > 0)) {
+                    alert(`This ship's last valuation ${reason}, and its whole fitting could not be priced again. It keeps its old value.`);
+                    return;
+                }
+                await updateShipValue(shipId, fittingData);
+                await renderShips();
+                const stillUnpriced = describeUnpricedItems(valuation);
+                alert(`This ship's last valuation ${reason}, so its whole fitting was priced again at ${describePriceStrategy(strategy)}.`
+                    + (stillUnpriced.length > 0 ? `\n\nStill no price for:\n${stillUnpriced.join('\n')}` : ''));
+                return;
+            }
+
+            const valuation = await calculateShipValueDetailed(new Map(failed.map(item => [item.name, item.quantity])), 'fitting', { onProgress });
+            const retried = new Map(getValuationItems(valuation).filter(item => item.success).map(item => [item.name, item]));
+            const stillUnpriced = describeUnpricedItems(valuation);
+
+            if (retried.size > 0) {
+                const valuationItems = items.map(item => retried.get(item.name) || item);
+                await updateShipValue(shipId, {
+                    value: valuationItems.reduce((total, item) => total + item.totalPrice, 0),
+                    valueEstimated: valuationItems.some(item => item.estimated),
+                    priceStrategy: ship.priceStrategy,
+                    pricedAt: new Date().toISOString(),
+                    valuationItems
+                });
+                await renderShips();
+            }
+            if (stillUnpriced.length > 0) {
+                alert(`Priced ${retried.size} of ${failed.length} items. Still no price for:\n${stillUnpriced.join('\n')}`);
+            }
+        } catch (error) {
+            console.error('Error re-pricing unpriced items:', error);
+            alert('Error re-pricing unpriced items');
+        } finally {
+            button.textContent = originalText;
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * @param {Object} valuation - Result of calculateShipValueDetailed
+     * @returns {string[]} - One line per item it couldn't price: unrecognised names with
+     *   any suggestions, then recognised items without a market price
+     */
+    function describeUnpricedItems(valuation) {
+        const unresolvedNames = new Set((valuation.unresolved || []).map(({ name }) => name));
+        return [
+            ...describeUnresolvedNames(valuation),
+            ...(valuation.items || [])
+                .filter(item => !item.success && !unresolvedNames.has(item.name))
+                .map(item => `${item.name} (no market price)`)
+        ];
+    }
+
+    // --- Re-pricing ---
+    const repriceHangarBtn = document.getElementById('reprice-hangar-btn');
+    const cancelRepriceBtn = document.getElementById('cancel-reprice-btn');
+    let repriceAbortController = null;
+
+    /**
+     * Price ships' current fittings again, adding each new value to its value history.
+     * Ships that can't be priced keep their old value.
+     * @param {Object[]} ships - Ships with fittings
+     * @returns {Promise<Object>} - { repriced: count, failed: [ship names] }
+     * @throws {DOMException} - AbortError if cancelled; ships re-priced so far keep their new value
+     */
+    async function repriceShips(ships) {
+        const originalText = repriceHangarBtn.textContent;
+        repriceHangarBtn.disabled = true;
+        cancelRepriceBtn.style.display = '';
+        repriceAbortController = new AbortController();
+
+        let repriced = 0;
+        const failed = [];
+        try {
+            for (const [index, ship] of ships.entries()) {
+                repriceHangarBtn.textContent = `Re-pricing ${index + 1}/${ships.length}...`;
+                const { fittingData } = await priceFitting(ship.fitting, {
+                    signal: repriceAbortController.signal,
+                    onProgress: progress => {
+                        repriceHangarBtn.textContent = `${index + 1}/${ships.length}: ${formatPricingProgress(progress)}`;
+                    }
+                });
+                if (fittingData.value > 0) {
+                    await updateShipValue(ship.id, fittingData);
+                    repriced++;
+                } else {
+                    failed.push(ship.name);
+                }
+            }
+        } finally {
+            repriceHangarBtn.textContent = originalText;
+            repriceHangarBtn.disabled = false;
+            cancelRepriceBtn.style.display = 'none';
+            repriceAbortController = null;
+            await renderShips();
+        }
+        return { repriced, failed };
+    }
+
+    // Re-price ships valued longer ago than Settings allows, if it asks for that on startup
+    async function repriceStaleShipsOnStartup() {
+        try {
+            const [ships, settings] = await Promise.all([getShips(), getSettings()]);
+            const maxAgeDays = settings.repriceOnStartupAfterDays;
+            if (!(maxAgeDays > 0)) {
+                return;
+            }
+            const staleShips = ships.filter(ship => ship.fitting
+                && (!ship.pricedAt || Date.now() - new Date(ship.pricedAt).getTime() > maxAgeDays * 86400000));
+            if (staleShips.length === 0) {
+                return;
+            }
+
+            console.log(`Re-pricing ${staleShips.length} ships priced over ${maxAgeDays} days ago`);
+            const { failed } = await repriceShips(staleShips);
+            if (failed.length > 0) {
+                console.warn('Could not re-price:', failed);
+            }
+        } catch (error) {
+            if (isAbortError(error)) {
+                console.log('Startup re-pricing cancelled');
+                return;
+            }
+            console.error('Error re-pricing ships on startup:', error);
+        }
+    }
+
+    repriceHangarBtn.addEventListener('click', async () => {
+        try {
+            const ships = (await getShips()).filter(ship => ship.fitting);
+            if (ships.length === 0) {
+                alert('No ships with fittings to re-price.');
+                return;
+            }
+            const { repriced, failed } = await repriceShips(ships);
+            if (failed.length > 0) {
+                alert(`Re-priced ${repriced} of ${ships.length} ships. These could not be priced and kept their old value:\n${failed.join('\n')}`);
+            }
+        } catch (error) {
+            if (isAbortError(error)) {
+                console.log('Re-pricing cancelled');
+                return;
+            }
+            console.error('Error re-pricing hangar:', error);
+            alert('Error re-pricing hangar');
+        }
+    });
+
+    cancelRepriceBtn.addEventListener('click', () => {
+        if (repriceAbortController) {
+            repriceAbortController.abort();
+        }
+    });
+
     // --- Checklist Management ---
     async function addChecklistItem(shipId, item) {
         try {
@@ -169,7 +541,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 throw new Error('Ship not found');
             }
             
-            const newChecklist = [...(ship.checklist || []), item];
+            const newChecklist = [...(ship.checklist || []), { text: item, source: null }];
             await updateShip(shipId, { checklist: newChecklist });
             await renderShips();
         } catch (error) {
@@ -178,6 +550,43 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // Add the fitting's drones, cargo and charges to the checklist. Items generated
+    // before are refreshed in place, and dropped if the fitting no longer has them.
+    async function generateChecklistFromFitting(shipId) {
+        try {
+            const ship = await getShip(shipId);
+            if (!ship) {
+                throw new Error('Ship not found');
+            }
+            const fresh = countChecklistQuantities((await parseShipFittings([ship])).get(ship.id));
+            const previous = (ship.checklist || []).map(toChecklistEntry);
+            if (fresh.size === 0 && !previous.some(entry => entry.source)) {
+                alert('The fitting has no drones, cargo or loaded charges to add.');
+                return;
+            }
+
+            // Matched by name like the checklist warnings, so a drone stack once
+            // read as cargo is moved to the drone bay rather than dropped
+            const newChecklist = previous.flatMap(entry => {
+                if (!entry.source) {
+                    return [entry];
+                }
+                const source = findChecklistSource(fresh, entry.source);
+                if (!source) {
+                    return [];
+                }
+                fresh.delete(`${source.section}:${source.name}`);
+                return [toChecklistSourceEntry(source)];
+            });
+            newChecklist.push(...Array.from(fresh.values(), toChecklistSourceEntry));
+            await updateShip(shipId, { checklist: newChecklist });
+            await renderShips();
+        } catch (error) {
+            console.error('Error generating checklist:', error);
+            alert('Error generating checklist');
+        }
+    }
+
     async function removeChecklistItem(shipId, itemIndex) {
         try {
             const ships = await getShips();
@@ -249,22 +658,24 @@ document.addEventListener('DOMContentLoaded', async () => {
             try {
                 // Parse the new fitting if provided
                 let updateData = { name: newName.trim() };
+                let fitting = null;
+                let valuation = null;
                 
                 if (newFitting.trim() !== ship.fitting) {
-                    const { shipType, items } = parseFitting(newFitting);
-                    const value = await calculateShipValue(items);
-                    
-                    updateData = {
-                        ...updateData,
-                        fitting: newFitting.trim(),
-                        type: shipType,
-                        value: value
-                    };
+                    let fittingData;
+                    ({ fitting, valuation, fittingData } = await priceFitting(newFitting, {
+                        onProgress: progress => { editBtn.textContent = formatPricingProgress(progress); }
+                    }));
+                    updateData = { ...updateData, ...fittingData };
                 }
                 
-                await updateShip(shipId, updateData);
+                // A changed fitting becomes a new revision, keeping the old one in the history
+                await (fitting ? reviseShipFitting(shipId, updateData) : updateShip(shipId, updateData));
                 await renderShips();
                 console.log(`Ship "${ship.name}" updated successfully`);
+                if (fitting) {
+                    alertFittingProblems('Ship updated', fitting, valuation);
+                }
             } catch (error) {
                 console.error('Error updating ship:', error);
                 alert('Error updating ship');
@@ -282,6 +693,291 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    /**
+     * Parse and price a fitting into the ship fields a revision keeps
+     * @param {string} fittingText - EFT fitting
+     * @param {Object} [options] - { signal, onProgress } for calculateShipValueDetailed
+     * @returns {Promise<Object>} - { fitting, valuation, fittingData }
+     */
+    async function priceFitting(fittingText, options = {}) {
+        const fitting = parseFitting(fittingText);
+        const valuation = await calculateShipValueDetailed(fitting.items, 'fitting', options);
+        return {
+            fitting,
+            valuation,
+            fittingData: {
+                fitting: fittingText.trim(),
+                type: fitting.shipType,
+                value: valuation.totalValue,
+                valueEstimated: !!valuation.estimated,
+                priceStrategy: valuation.strategy || null,
+                pricedAt: new Date().toISOString(),
+                valuationItems: getValuationItems(valuation)
+            }
+        };
+    }
+
+    /**
+     * The per-item breakdown of a valuation, as stored on ships
+     * @param {Object} valuation - Result of calculateShipValueDetailed
+     * @returns {Object[]} - [{ name, quantity, typeId, unitPrice, totalPrice, source, pricedAt, estimated, override, success }]
+     */
+    function getValuationItems(valuation) {
+        return (valuation.items || []).map(item => ({
+            name: item.name,
+            quantity: item.quantity,
+            typeId: item.typeId || null,
+            unitPrice: item.unitPrice,
+            totalPrice: item.totalPrice,
+            source: item.source,
+            pricedAt: item.pricedAt,
+            estimated: item.estimated,
+            override: item.override,
+            success: item.success
+        }));
+    }
+
+    // Names of the items a ship's last valuation priced with a manual override
+    function getOverriddenItems(ship) {
+        return (ship.valuationItems || []).filter(item => item.override).map(item => item.name);
+    }
+
+    async function handleRestoreRevision(shipId, revisionIndex, button) {
+        try {
+            const ship = await getShip(shipId);
+            const revision = ship && (ship.revisions || [])[revisionIndex];
+            if (!revision) {
+                throw new Error('Revision not found');
+            }
+            if (!confirm(`Restore revision ${revisionIndex + 1} from ${new Date(revision.revisedAt).toLocaleString()}? The current fitting stays in the history.`)) {
+                return;
+            }
+
+            button.textContent = 'Restoring...';
+            button.disabled = true;
+
+            // Re-priced, so the restored fitting's value is current
+            const { fitting, valuation, fittingData } = await priceFitting(revision.fitting, {
+                onProgress: progress => { button.textContent = formatPricingProgress(progress); }
+            });
+            await reviseShipFitting(shipId, fittingData, { restoredFrom: revisionIndex });
+            await renderShips();
+            alertFittingProblems('Revision restored', fitting, valuation);
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            alert('Error restoring revision');
+            button.textContent = 'Restore';
+            button.disabled = false;
+        }
+    }
+
+    function describeRevision(revision, index) {
+        return `${index + 1}: ${new Date(revision.revisedAt).toLocaleString()}, ${Math.round(revision.value).toLocaleString()} ISK`;
+    }
+
+    function renderRevisionHistory(ship) {
+        const revisions = ship.revisions || [];
+        if (revisions.length === 0) {
+            return '';
+        }
+
+        const currentIndex = revisions.length - 1;
+        const revisionOptions = selectedIndex => revisions
+            .map((revision, index) => `<option value="${index}" ${index === selectedIndex ? 'selected' : ''}>${escapeHtml(describeRevision(revision, index))}</option>`)
+            .join('');
+
+        const rows = revisions.map((revision, index) => `<li>
+            <span>
+                ${new Date(revision.revisedAt).toLocaleString()}: ${escapeHtml(revision.type || 'Unknown type')}, ${Math.round(revision.value).toLocaleString()} ISK
+                ${revision.restoredFrom !== null && revision.restoredFrom !== undefined ? `<span class="muted">(restored from revision ${revision.restoredFrom + 1})</span>` : ''}
+            </span>
+            ${index === currentIndex
+                ? '<span class="tag">Current</span>'
+                : `<button type="button" class="restore-revision-btn secondary-btn" data-ship-id="${ship.id}" data-revision="${index}">Restore</button>`}
+        </li>`).join('');
+
+        const compare = revisions.length > 1 ? `
+            <div class="revision-compare">
+                <select class="revision-from" aria-label="Compare from revision">${revisionOptions(currentIndex - 1)}</select>
+                <select class="revision-to" aria-label="Compare to revision">${revisionOptions(currentIndex)}</select>
+                <button type="button" class="compare-revisions-btn secondary-btn" data-ship-id="${ship.id}">Compare</button>
+            </div>
+            <div class="revision-diff"></div>` : '';
+
+        return `<details class="revision-history">
+            <summary>Fitting History (${revisions.length} revision${revisions.length === 1 ? '' : 's'})</summary>
+            <ol class="revision-list">${rows}</ol>
+            ${compare}
+        </details>`;
+    }
+
+    function renderFittingDiff(fromRevision, toRevision) {
+        const diff = diffFittings(fromRevision.fitting, toRevision.fitting);
+        const valueChange = toRevision.value - fromRevision.value;
+        const rows = [
+            ...diff.added.map(item => ({ name: item.name, from: 0, to: item.quantity, change: 'Added' })),
+            ...diff.removed.map(item => ({ name: item.name, from: item.quantity, to: 0, change: 'Removed' })),
+            ...diff.changed.map(item => ({ ...item, change: 'Quantity' }))
+        ].sort((a, b) => a.name.localeCompare(b.name));
+
+        let html = `<p><strong>Value:</strong> ${Math.round(fromRevision.value).toLocaleString()} → ${Math.round(toRevision.value).toLocaleString()} ISK
+            (${valueChange >= 0 ? '+' : ''}${Math.round(valueChange).toLocaleString()} ISK)
+            <br><small class="muted">Each value is as priced when its revision was saved, so market moves are included.</small></p>`;
+        if (rows.length === 0) {
+            return html + '<p class="muted">No items changed.</p>';
+        }
+        html += '<table class="data-table"><thead><tr><th>Item</th><th>Before</th><th>After</th><th>Change</th></tr></thead><tbody>';
+        html += rows.map(row => `<tr>
+            <td>${escapeHtml(row.name)}</td>
+            <td>${row.from}</td>
+            <td>${row.to}</td>
+            <td>${row.change}</td>
+        </tr>`).join('');
+        return html + '</tbody></table>';
+    }
+
+    async function handleCompareRevisions(shipId, button) {
+        const history = button.closest('.revision-history');
+        const fromIndex = parseInt(history.querySelector('.revision-from').value);
+        const toIndex = parseInt(history.querySelector('.revision-to').value);
+        try {
+            const ship = await getShip(shipId);
+            const revisions = (ship && ship.revisions) || [];
+            if (!revisions[fromIndex] || !revisions[toIndex]) {
+                throw new Error('Revision not found');
+            }
+            history.querySelector('.revision-diff').innerHTML = renderFittingDiff(revisions[fromIndex], revisions[toIndex]);
+        } catch (error) {
+            console.error('Error comparing revisions:', error);
+            alert('Error comparing revisions');
+        }
+    }
+
+    function renderExportMenu(ship) {
+        if (!ship.fitting) {
+            return '';
+        }
+        const formatButtons = Object.entries(FITTING_EXPORT_FORMATS).map(([format, { label }]) => (
+            `<button type="button" class="export-fitting-btn secondary-btn" data-ship-id="${ship.id}" data-format="${format}">${label}</button>`
+        )).join('');
+
+        return `<details class="fitting-export">
+            <summary>Export</summary>
+            <div class="export-formats">${formatButtons}</div>
+            <div class="export-output" hidden>
+                <textarea class="export-text" rows="8" readonly aria-label="Exported fitting"></textarea>
+                <button type="button" class="copy-export-btn secondary-btn">Copy to Clipboard</button>
+            </div>
+        </details>`;
+    }
+
+    async function handleExportFitting(shipId, format, button) {
+        const menu = button.closest('.fitting-export');
+        const output = menu.querySelector('.export-output');
+        const originalText = button.textContent;
+        button.textContent = 'Exporting...';
+        button.disabled = true;
+
+        try {
+            const ship = await getShip(shipId);
+            if (!ship || !ship.fitting) {
+                throw new Error('Ship has no fitting');
+            }
+            const { text, missing } = await exportFitting(ship.fitting, format, { name: ship.name });
+            menu.querySelector('.export-text').value = text;
+            output.hidden = false;
+            if (missing.length > 0) {
+                alert(`These items have no type ID and were left out of the export:\n${missing.join('\n')}`);
+            }
+        } catch (error) {
+            console.error('Error exporting fitting:', error);
+            alert(`Error exporting fitting: ${error.message}`);
+        } finally {
+            button.textContent = originalText;
+            button.disabled = false;
+        }
+    }
+
+    async function copyToClipboard(textarea) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            try {
+                await navigator.clipboard.writeText(textarea.value);
+                return true;
+            } catch (error) {
+                console.warn('Clipboard API failed, falling back to execCommand:', error);
+            }
+        }
+        // Pages opened from file:// have no clipboard API
+        textarea.select();
+        return document.execCommand('copy');
+    }
+
+    async function handleCopyExport(button) {
+        const textarea = button.closest('.export-output').querySelector('.export-text');
+        const originalText = button.textContent;
+        try {
+            if (!await copyToClipboard(textarea)) {
+                throw new Error('Copy command was not allowed');
+            }
+            button.textContent = 'Copied!';
+            setTimeout(() => { button.textContent = originalText; }, 1500);
+        } catch (error) {
+            console.error('Error copying export:', error);
+            alert('Could not copy to the clipboard. Select the text and copy it instead.');
+        }
+    }
+
+    const FITTING_SECTION_LABELS = {
+        low: 'Low Slots',
+        mid: 'Mid Slots',
+        high: 'High Slots',
+        rig: 'Rigs',
+        subsystem: 'Subsystems',
+        drone: 'Drones',
+        cargo: 'Cargo'
+    };
+
+    function renderFittingSections(fitting, overriddenItems = []) {
+        return EFT_SECTIONS.map(section => {
+            const entries = fitting.sections[section];
+            const emptySlots = fitting.emptySlots[section] || 0;
+            if (entries.length === 0 && emptySlots === 0) {
+                return '';
+            }
+
+            const rows = entries.map(entry => `<li>
+                ${escapeHtml(entry.name)}${entry.quantity > 1 ? ` x${entry.quantity}` : ''}
+                ${entry.charge ? `<span class="muted">(${escapeHtml(entry.charge)})</span>` : ''}
+                ${entry.offline ? '<span class="tag">Offline</span>' : ''}
+                ${overriddenItems.includes(entry.name) ? '<span class="tag" title="Priced by a manual override">Override</span>' : ''}
+            </li>`);
+            if (emptySlots > 0) {
+                rows.push(`<li class="muted">${emptySlots} empty</li>`);
+            }
+            return `<p><strong>${FITTING_SECTION_LABELS[section]}:</strong></p><ul>${rows.join('')}</ul>`;
+        }).join('');
+    }
+
+    /**
+     * Tell the user what was saved without a value: unrecognised items and fitting lines that were skipped
+     * @param {string} saved - What happened, e.g. "Ship added"
+     * @param {Object} fitting - Result of parseFitting
+     * @param {Object} valuation - Result of calculateShipValueDetailed
+     */
+    function alertFittingProblems(saved, fitting, valuation) {
+        const problems = [];
+        const unrecognised = describeUnresolvedNames(valuation);
+        if (unrecognised.length > 0) {
+            problems.push(`These items were not recognised and have no value:\n${unrecognised.join('\n')}`);
+        }
+        if (fitting.diagnostics.length > 0) {
+            problems.push(`These fitting lines were skipped:\n${fitting.diagnostics.map(d => `Line ${d.lineNumber}: ${d.message} (${d.line})`).join('\n')}`);
+        }
+        if (problems.length > 0) {
+            alert(`${saved}, but:\n\n${problems.join('\n\n')}`);
+        }
+    }
+
     // Event delegation for checklist management and ship actions
     shipListDiv.addEventListener('click', async (e) => {
         if (e.target.classList.contains('add-checklist-btn')) {
@@ -295,6 +991,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
         
+        if (e.target.classList.contains('generate-checklist-btn')) {
+            const shipId = parseInt(e.target.dataset.shipId);
+            await generateChecklistFromFitting(shipId);
+        }
+        
         if (e.target.classList.contains('remove-checklist-item')) {
             const shipId = parseInt(e.target.dataset.shipId);
             const itemIndex = parseInt(e.target.dataset.index);
@@ -310,6 +1011,46 @@ document.addEventListener('DOMContentLoaded', async () => {
             const shipId = parseInt(e.target.dataset.shipId);
             await handleEditShip(shipId);
         }
+        
+        if (e.target.classList.contains('restore-revision-btn')) {
+            const shipId = parseInt(e.target.dataset.shipId);
+            await handleRestoreRevision(shipId, parseInt(e.target.dataset.revision), e.target);
+        }
+        
+        if (e.target.classList.contains('compare-revisions-btn')) {
+            const shipId = parseInt(e.target.dataset.shipId);
+            await handleCompareRevisions(shipId, e.target);
+        }
+        
+        const sortHeader = e.target.closest('.valuation-breakdown th[data-sort]');
+        if (sortHeader) {
+            sortValuationTable(sortHeader);
+        }
+        
+        if (e.target.classList.contains('retry-unpriced-btn')) {
+            const shipId = parseInt(e.target.dataset.shipId);
+            await handleRetryUnpriced(shipId, e.target);
+        }
+        
+        if (e.target.classList.contains('export-fitting-btn')) {
+            const shipId = parseInt(e.target.dataset.shipId);
+            await handleExportFitting(shipId, e.target.dataset.format, e.target);
+        }
+        
+        if (e.target.classList.contains('copy-export-btn')) {
+            await handleCopyExport(e.target);
+        }
+        
+        if (e.target.classList.contains('activate-ship-btn')) {
+            const shipId = parseInt(e.target.dataset.shipId);
+            try {
+                await setActiveShip(shipId);
+                await renderShips();
+            } catch (error) {
+                console.error('Error setting active ship:', error);
+                alert('Error setting active ship');
+            }
+        }
     });
 
     // Handle Enter key in checklist input
@@ -325,6 +1066,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Lets a slow or hung valuation be cancelled instead of blocking the form
+    const cancelAddShipBtn = document.getElementById('cancel-add-ship-btn');
+    let addShipAbortController = null;
+
+    cancelAddShipBtn.addEventListener('click', () => {
+        if (addShipAbortController) {
+            addShipAbortController.abort();
+        }
+    });
+
     addShipForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const shipName = document.getElementById('ship-name').value;
@@ -335,21 +1086,31 @@ document.addEventListener('DOMContentLoaded', async () => {
         const originalText = submitButton.textContent;
         submitButton.textContent = 'Calculating Value...';
         submitButton.disabled = true;
+        addShipAbortController = new AbortController();
+        cancelAddShipBtn.style.display = '';
 
         try {
             // Parse the fitting to get ship type and items
-            const { shipType, items } = parseFitting(shipFitting);
-            console.log('Parsed fitting:', { shipType, items });
+            const fitting = parseFitting(shipFitting);
+            console.log('Parsed fitting:', fitting);
             
-            // Calculate ship value using the API
-            const value = await calculateShipValue(items);
+            // Calculate ship value using the API (or cached prices)
+            const valuation = await calculateShipValueDetailed(fitting.items, 'fitting', {
+                signal: addShipAbortController.signal,
+                onProgress: progress => { submitButton.textContent = formatPricingProgress(progress); }
+            });
+            const value = valuation.totalValue;
             console.log('Calculated ship value:', value);
 
             const newShip = {
                 name: shipName,
-                type: shipType,
+                type: fitting.shipType,
                 fitting: shipFitting,
                 value: value,
+                valueEstimated: !!valuation.estimated,
+                priceStrategy: valuation.strategy || null,
+                pricedAt: new Date().toISOString(),
+                valuationItems: getValuationItems(valuation),
                 checklist: [],
                 isActive: false
             };
@@ -359,6 +1120,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             addShipForm.reset();
             await renderShips();
             
+            alertFittingProblems('Ship added', fitting, valuation);
+            
             // Show success message
             if (value > 0) {
                 console.log(`Ship added successfully with value: ${value.toLocaleString()} ISK`);
@@ -367,42 +1130,179 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
             
         } catch (error) {
+            if (isAbortError(error)) {
+                console.log('Adding ship cancelled');
+                return;
+            }
             console.error('Error adding ship:', error);
             alert('Error adding ship. Please check the console for details.');
         } finally {
             // Reset button state
             submitButton.textContent = originalText;
             submitButton.disabled = false;
+            addShipAbortController = null;
+            cancelAddShipBtn.style.display = 'none';
         }
     });
 
-    // --- Missions Logic ---
-    async function renderMissions() {
+    // --- Fitting Import ---
+    const fittingsImportPreview = document.getElementById('fittings-import-preview');
+    const fittingsImportRows = document.getElementById('fittings-import-rows');
+    const importFittingsBtn = document.getElementById('import-fittings-btn');
+    // Fittings from the previewed file: [{ fittingText, fitting }]
+    let pendingFittingImports = [];
+    let importFittingsAbortController = null;
+
+    function countFittedModules(fitting) {
+        return EFT_SLOT_SECTIONS.reduce((count, section) => count + fitting.sections[section].length, 0);
+    }
+
+    function renderFittingImportPreview() {
+        fittingsImportRows.innerHTML = pendingFittingImports.map(({ fitting }, index) => {
+            const notes = [];
+            if (!fitting.shipType) {
+                notes.push('No [Ship, Fitting name] header');
+            }
+            if (fitting.diagnostics.length > 0) {
+                notes.push(`${fitting.diagnostics.length} line${fitting.diagnostics.length === 1 ? '' : 's'} skipped`);
+            }
+            return `<tr>
+                <td><input type="checkbox" class="import-fitting-select" data-index="${index}" aria-label="Import this fitting" ${fitting.shipType ? 'checked' : 'disabled'}></td>
+                <td>${escapeHtml(fitting.fittingName || fitting.shipType || 'Unnamed')}</td>
+                <td>${escapeHtml(fitting.shipType || '-')}</td>
+                <td>${countFittedModules(fitting)}</td>
+                <td>${escapeHtml(notes.join('; '))}</td>
+            </tr>`;
+        }).join('');
+        document.getElementById('select-all-fittings').checked = true;
+        fittingsImportPreview.style.display = '';
+    }
+
+    function closeFittingImportPreview() {
+        pendingFittingImports = [];
+        fittingsImportRows.innerHTML = '';
+        fittingsImportPreview.style.display = 'none';
+    }
+
+    document.getElementById('preview-fittings-btn').addEventListener('click', async () => {
+        const file = document.getElementById('fittings-file').files[0];
+        if (!file) {
+            alert('Choose a fittings file to import first.');
+            return;
+        }
+
         try {
-            const missions = await getMissions();
-            missionListDiv.innerHTML = ''; // Clear current list
-            if (missions.length === 0) {
-                missionListDiv.innerHTML = '<p>No missions in your database yet.</p>';
+            const fittingTexts = splitFittingsFile(await file.text(), file.name);
+            if (fittingTexts.length === 0) {
+                alert(`${file.name} has no fittings.`);
                 return;
             }
+            pendingFittingImports = fittingTexts.map(fittingText => ({ fittingText, fitting: parseFitting(fittingText) }));
+            renderFittingImportPreview();
+        } catch (error) {
+            console.error('Error reading fittings file:', error);
+            alert(`Could not read ${file.name}: ${error.message}`);
+        }
+    });
 
-            missions.forEach(mission => {
-                const missionCard = document.createElement('article');
-                
-                // Format rewards
-                const iskReward = mission.baseIskReward ? mission.baseIskReward.toLocaleString() : '0';
-                const bonusIskReward = mission.bonusIskReward ? mission.bonusIskReward.toLocaleString() : '0';
-                const lpReward = mission.baseLpReward ? mission.baseLpReward.toLocaleString() : '0';
-                
-                // Format tags
-                const tagsDisplay = mission.tags && mission.tags.length > 0 
-                    ? mission.tags.map(tag => `<span class="tag">${tag}</span>`).join(' ')
-                    : '<span class="muted">No tags</span>';
+    document.getElementById('select-all-fittings').addEventListener('change', (e) => {
+        fittingsImportRows.querySelectorAll('.import-fitting-select:not(:disabled)').forEach(checkbox => {
+            checkbox.checked = e.target.checked;
+        });
+    });
+
+    document.getElementById('cancel-import-fittings-btn').addEventListener('click', () => {
+        if (importFittingsAbortController) {
+            importFittingsAbortController.abort();
+            return;
+        }
+        closeFittingImportPreview();
+    });
+
+    importFittingsBtn.addEventListener('click', async () => {
+        const selected = Array.from(fittingsImportRows.querySelectorAll('.import-fitting-select:checked'))
+            .map(checkbox => pendingFittingImports[parseInt(checkbox.dataset.index)]);
+        if (selected.length === 0) {
+            alert('Select the fittings to import first.');
+            return;
+        }
+
+        const originalText = importFittingsBtn.textContent;
+        importFittingsBtn.disabled = true;
+        importFittingsAbortController = new AbortController();
+
+        try {
+            // Price every fitting first, then add them together so a cancelled import adds nothing
+            const ships = [];
+            const problems = [];
+            for (const [index, { fittingText, fitting }] of selected.entries()) {
+                const name = fitting.fittingName || fitting.shipType;
+                importFittingsBtn.textContent = `Pricing ${index + 1}/${selected.length}...`;
+                const { valuation, fittingData } = await priceFitting(fittingText, {
+                    signal: importFittingsAbortController.signal,
+                    onProgress: progress => {
+                        importFittingsBtn.textContent = `${index + 1}/${selected.length}: ${formatPricingProgress(progress)}`;
+                    }
+                });
+
+                const unrecognised = describeUnresolvedNames(valuation);
+                if (unrecognised.length > 0) {
+                    problems.push(`${name}: ${unrecognised.join(', ')}`);
+                }
+                ships.push({ name, ...fittingData, checklist: [], isActive: false });
+            }
+
+            importFittingsBtn.textContent = 'Saving...';
+            await addShips(ships);
+            console.log(`Imported ${ships.length} ships`);
+            document.getElementById('fittings-file').value = '';
+            closeFittingImportPreview();
+            await renderShips();
+
+            alert(`Imported ${ships.length} ship${ships.length === 1 ? '' : 's'}.${problems.length > 0
+                ? `\n\nThese items were not recognised and have no value:\n${problems.join('\n')}` : ''}`);
+        } catch (error) {
+            if (isAbortError(error)) {
+                console.log('Fitting import cancelled');
+                return;
+            }
+            console.error('Error importing fittings:', error);
+            alert(`Fitting import failed: ${error.message}`);
+        } finally {
+            importFittingsBtn.textContent = originalText;
+            importFittingsBtn.disabled = false;
+            importFittingsAbortController = null;
+        }
+    });
+
+    // --- Missions Logic ---
+    async function renderMissions() {
+        try {
+            const missions = await getMissions();
+            missionListDiv.innerHTML = ''; // Clear current list
+            if (missions.length === 0) {
+                missionListDiv.innerHTML = '<p>No missions in your database yet.</p>';
+                return;
+            }
+
+            missions.forEach(mission => {
+                const missionCard = document.createElement('article');
+                
+                // Format rewards
+                const iskReward = mission.baseIskReward ? mission.baseIskReward.toLocaleString() : '0';
+                const bonusIskReward = mission.bonusIskReward ? mission.bonusIskReward.toLocaleString() : '0';
+                const lpReward = mission.baseLpReward ? mission.baseLpReward.toLocaleString() : '0';
+                
+                // Format tags
+                const tagsDisplay = mission.tags && mission.tags.length > 0 
+                    ? mission.tags.map(tag => `<span class="tag">${tag}</span>`).join(' ')
+                    : '<span class="muted">No tags</span>';
                 
                 missionCard.innerHTML = `
                     <header>
                         ${mission.name}
                         <div class="mission-actions">
+                            <button class="start-mission-btn" data-mission-id="${mission.id}">Start</button>
                             <button class="edit-mission-btn" data-mission-id="${mission.id}">Edit</button>
                             <button class="delete-mission-btn" data-mission-id="${mission.id}">Delete</button>
                         </div>
@@ -411,6 +1311,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         <div class="mission-meta">
                             <p><strong>Level:</strong> ${mission.level}</p>
                             <p><strong>Enemy Faction:</strong> ${mission.enemyFaction || 'Unknown'}</p>
+                            <p><strong>Corporation:</strong> ${mission.corporation || 'Unknown'}</p>
                             <p><strong>Damage to Deal:</strong> ${mission.damageToDeal || 'Unknown'}</p>
                             <p><strong>Damage to Resist:</strong> ${mission.damageToResist || 'Unknown'}</p>
                         </div>
@@ -470,6 +1371,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             document.getElementById('mission-name').value = mission.name || '';
             document.getElementById('mission-level').value = mission.level || 1;
             document.getElementById('mission-enemy-faction').value = mission.enemyFaction || '';
+            document.getElementById('mission-corporation').value = mission.corporation || '';
             document.getElementById('mission-damage-to-deal').value = mission.damageToDeal || '';
             document.getElementById('mission-damage-to-resist').value = mission.damageToResist || '';
             document.getElementById('mission-base-isk-reward').value = mission.baseIskReward || '';
@@ -511,6 +1413,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Event delegation for mission actions
     missionListDiv.addEventListener('click', async (e) => {
+        if (e.target.classList.contains('start-mission-btn')) {
+            const missionId = parseInt(e.target.dataset.missionId);
+            await handleStartMission(missionId);
+        }
+        
         if (e.target.classList.contains('delete-mission-btn')) {
             const missionId = parseInt(e.target.dataset.missionId);
             await handleDeleteMission(missionId);
@@ -528,6 +1435,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const missionName = document.getElementById('mission-name').value;
         const missionLevel = parseInt(document.getElementById('mission-level').value);
         const enemyFaction = document.getElementById('mission-enemy-faction').value;
+        const corporation = document.getElementById('mission-corporation').value.trim();
         const damageToDeal = document.getElementById('mission-damage-to-deal').value;
         const damageToResist = document.getElementById('mission-damage-to-resist').value;
         const baseIskReward = parseInt(document.getElementById('mission-base-isk-reward').value) || 0;
@@ -548,6 +1456,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 name: missionName,
                 level: missionLevel,
                 enemyFaction: enemyFaction,
+                corporation: corporation,
                 damageToDeal: damageToDeal,
                 damageToResist: damageToResist,
                 baseIskReward: baseIskReward,
@@ -593,6 +1502,1247 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
-    // Set hangar as default view for now
-    document.querySelector('[data-section="hangar-section"]').click();
+    // --- Mission Run Lifecycle ---
+    // The run record in IndexedDB is the source of truth for the timer: elapsed
+    // time is always derived from startTime and the recorded pauses, so a reload
+    // or crash mid-run picks up exactly where it left off.
+    let activeRun = null;
+    let activeRunTimer = null;
+    let liveLogSaveTimeout = null;
+
+    function isRunInProgress(run) {
+        return run.status === 'Active' || run.status === 'Paused';
+    }
+
+    function formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+    }
+
+    async function getActiveRun() {
+        const runs = await getMissionRuns();
+        return runs.find(isRunInProgress) || null;
+    }
+
+    function updateRunTimerDisplay() {
+        if (activeRun) {
+            runTimerDisplay.textContent = formatDuration(getRunElapsedMs(activeRun));
+        }
+    }
+
+    async function renderActiveRun() {
+        clearInterval(activeRunTimer);
+        activeRunTimer = null;
+
+        if (!activeRun) {
+            activeRunArticle.style.display = 'none';
+            noActiveRunText.style.display = '';
+            return;
+        }
+
+        const missions = await getMissions();
+        const mission = missions.find(m => m.id === activeRun.missionId) || {};
+        const ships = await getShips();
+        const ship = ships.find(s => s.id === activeRun.shipId);
+
+        document.getElementById('active-run-mission-name').textContent = mission.name || 'Unknown mission';
+        document.getElementById('active-run-status').textContent = activeRun.status;
+        document.getElementById('active-run-ship').textContent = ship ? ship.name : 'None';
+        document.getElementById('active-run-level').textContent = mission.level || 'Unknown';
+        document.getElementById('active-run-faction').textContent = mission.enemyFaction || 'Unknown';
+        document.getElementById('active-run-damage-to-deal').textContent = mission.damageToDeal || 'Unknown';
+        document.getElementById('active-run-damage-to-resist').textContent = mission.damageToResist || 'Unknown';
+
+        // Don't clobber the log while the user is typing into it
+        if (document.activeElement !== liveLogInput) {
+            liveLogInput.value = activeRun.liveLog || '';
+        }
+
+        const isPaused = activeRun.status === 'Paused';
+        pauseRunBtn.style.display = isPaused ? 'none' : '';
+        resumeRunBtn.style.display = isPaused ? '' : 'none';
+        runTimerDisplay.classList.toggle('paused', isPaused);
+
+        updateRunTimerDisplay();
+        if (!isPaused) {
+            activeRunTimer = setInterval(updateRunTimerDisplay, 1000);
+        }
+
+        noActiveRunText.style.display = 'none';
+        activeRunArticle.style.display = '';
+    }
+
+    async function handleStartMission(missionId) {
+        try {
+            const existingRun = await getActiveRun();
+            if (existingRun) {
+                alert('A mission run is already in progress. Complete or abort it before starting another.');
+                document.querySelector('[data-section="dashboard-section"]').click();
+                return;
+            }
+
+            const missions = await getMissions();
+            const mission = missions.find(m => m.id === missionId);
+            if (!mission) {
+                throw new Error('Mission not found');
+            }
+
+            await openStartRunDialog(mission);
+        } catch (error) {
+            console.error('Error starting mission run:', error);
+            alert('Error starting mission run');
+        }
+    }
+
+    async function startMissionRun(missionId, shipId, checklist) {
+        const runId = await addMissionRun({
+            missionId: missionId,
+            shipId: shipId,
+            checklist: checklist,
+            startTime: new Date().toISOString(),
+            status: 'Active'
+        });
+        activeRun = (await getMissionRuns()).find(r => r.id === runId);
+        console.log(`Mission run ${runId} started`);
+
+        document.querySelector('[data-section="dashboard-section"]').click();
+    }
+
+    // --- Pre-Undock Confirmation ---
+    let startRunShips = [];
+    let startRunFittings = new Map();
+
+    async function openStartRunDialog(mission) {
+        startRunShips = await getShips();
+        startRunFittings = await parseShipFittings(startRunShips);
+        document.getElementById('start-run-mission-name').textContent = mission.name;
+        startRunForm.dataset.missionId = mission.id;
+
+        if (startRunShips.length === 0) {
+            startRunShipSelect.innerHTML = '<option value="">No ships in your hangar</option>';
+            startRunShipSelect.disabled = true;
+        } else {
+            startRunShipSelect.disabled = false;
+            startRunShipSelect.innerHTML = startRunShips
+                .map(ship => `<option value="${ship.id}">${escapeHtml(ship.name)}${ship.type ? ` (${escapeHtml(ship.type)})` : ''}</option>`)
+                .join('');
+            const activeShip = startRunShips.find(ship => ship.isActive) || startRunShips[0];
+            startRunShipSelect.value = activeShip.id;
+        }
+
+        renderStartRunChecklist();
+        startRunDialog.showModal();
+    }
+
+    function getStartRunShip() {
+        const shipId = parseInt(startRunShipSelect.value);
+        return startRunShips.find(ship => ship.id === shipId) || null;
+    }
+
+    function renderStartRunChecklist() {
+        const ship = getStartRunShip();
+        const checklist = ship && ship.checklist ? ship.checklist.map(toChecklistEntry) : [];
+
+        if (checklist.length === 0) {
+            startRunChecklist.innerHTML = '<li class="empty-checklist">No checklist items for this ship.</li>';
+        } else {
+            const mismatches = checkChecklistAgainstFitting(checklist, startRunFittings.get(ship.id));
+            startRunChecklist.innerHTML = checklist.map((entry, index) => `<li>
+                <label class="checklist-item">
+                    <input type="checkbox" class="start-run-check" data-index="${index}">
+                    ${escapeHtml(entry.text)}
+                </label>
+                ${mismatches[index] ? `<small class="checklist-warning">${escapeHtml(mismatches[index])}</small>` : ''}
+            </li>`).join('');
+        }
+        resetStartRunWarning();
+    }
+
+    function resetStartRunWarning() {
+        startRunWarning.style.display = 'none';
+        startRunWarning.textContent = '';
+        delete startRunForm.dataset.warned;
+        confirmStartRunBtn.textContent = 'Undock';
+    }
+
+    function getStartRunChecklistState() {
+        const ship = getStartRunShip();
+        const checklist = ship && ship.checklist ? ship.checklist.map(toChecklistEntry) : [];
+        return checklist.map((entry, index) => ({
+            item: entry.text,
+            checked: startRunChecklist.querySelector(`.start-run-check[data-index="${index}"]`).checked
+        }));
+    }
+
+    startRunShipSelect.addEventListener('change', renderStartRunChecklist);
+
+    startRunChecklist.addEventListener('change', (e) => {
+        if (e.target.classList.contains('start-run-check')) {
+            resetStartRunWarning();
+        }
+    });
+
+    document.getElementById('cancel-start-run-btn').addEventListener('click', () => {
+        startRunDialog.close();
+    });
+
+    startRunForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const missionId = parseInt(startRunForm.dataset.missionId);
+        const ship = getStartRunShip();
+        const checklistState = getStartRunChecklistState();
+        const unticked = checklistState.filter(entry => !entry.checked);
+
+        // Unticked items need a second, deliberate click to undock anyway
+        if (unticked.length > 0 && !startRunForm.dataset.warned) {
+            startRunWarning.textContent = `${unticked.length} checklist item${unticked.length === 1 ? ' is' : 's are'} not ticked: ${unticked.map(entry => entry.item).join(', ')}`;
+            startRunWarning.style.display = '';
+            startRunForm.dataset.warned = 'true';
+            confirmStartRunBtn.textContent = 'Undock Anyway';
+            return;
+        }
+
+        confirmStartRunBtn.disabled = true;
+        try {
+            if (ship && !ship.isActive) {
+                await setActiveShip(ship.id);
+            }
+            await startMissionRun(missionId, ship ? ship.id : null, checklistState);
+            startRunDialog.close();
+        } catch (error) {
+            console.error('Error starting mission run:', error);
+            alert('Error starting mission run');
+        } finally {
+            confirmStartRunBtn.disabled = false;
+        }
+    });
+
+    async function handlePauseRun() {
+        if (!activeRun || activeRun.status !== 'Active') {
+            return;
+        }
+        try {
+            const pauses = [...(activeRun.pauses || []), { start: new Date().toISOString(), end: null }];
+            activeRun = await updateMissionRun(activeRun.id, { status: 'Paused', pauses });
+            await renderActiveRun();
+        } catch (error) {
+            console.error('Error pausing mission run:', error);
+            alert('Error pausing mission run');
+        }
+    }
+
+    async function handleResumeRun() {
+        if (!activeRun || activeRun.status !== 'Paused') {
+            return;
+        }
+        try {
+            const pauses = closeOpenPause(activeRun.pauses, new Date().toISOString());
+            activeRun = await updateMissionRun(activeRun.id, { status: 'Active', pauses });
+            await renderActiveRun();
+        } catch (error) {
+            console.error('Error resuming mission run:', error);
+            alert('Error resuming mission run');
+        }
+    }
+
+    function closeOpenPause(pauses, endTime) {
+        return (pauses || []).map(pause => pause.end ? pause : { ...pause, end: endTime });
+    }
+
+    async function finishActiveRun(status) {
+        const endTime = new Date().toISOString();
+        await flushLiveLog();
+        const finishedRun = await updateMissionRun(activeRun.id, {
+            status: status,
+            endTime: endTime,
+            pauses: closeOpenPause(activeRun.pauses, endTime)
+        });
+        activeRun = null;
+        await renderActiveRun();
+        return finishedRun;
+    }
+
+    async function handleCompleteRun() {
+        if (!activeRun) {
+            return;
+        }
+        if (!confirm('Complete this mission run? The timer will be stopped.')) {
+            return;
+        }
+        try {
+            const run = await finishActiveRun('Completed');
+            console.log(`Mission run completed in ${formatDuration(getRunElapsedMs(run))}`);
+            await openCompleteRunDialog(run);
+        } catch (error) {
+            console.error('Error completing mission run:', error);
+            alert('Error completing mission run');
+        }
+    }
+
+    async function handleAbortRun() {
+        if (!activeRun) {
+            return;
+        }
+        if (!confirm('Abort this mission run? It will be recorded as aborted.')) {
+            return;
+        }
+        try {
+            await finishActiveRun('Aborted');
+            console.log('Mission run aborted');
+        } catch (error) {
+            console.error('Error aborting mission run:', error);
+            alert('Error aborting mission run');
+        }
+    }
+
+    async function flushLiveLog() {
+        if (!liveLogSaveTimeout || !activeRun) {
+            return;
+        }
+        clearTimeout(liveLogSaveTimeout);
+        liveLogSaveTimeout = null;
+        activeRun = await updateMissionRun(activeRun.id, { liveLog: liveLogInput.value });
+    }
+
+    pauseRunBtn.addEventListener('click', handlePauseRun);
+    resumeRunBtn.addEventListener('click', handleResumeRun);
+    completeRunBtn.addEventListener('click', handleCompleteRun);
+    abortRunBtn.addEventListener('click', handleAbortRun);
+
+    // Save the live log shortly after typing stops so a crash loses at most a second of notes
+    liveLogInput.addEventListener('input', () => {
+        clearTimeout(liveLogSaveTimeout);
+        liveLogSaveTimeout = setTimeout(() => {
+            flushLiveLog().catch(error => console.error('Error saving live log:', error));
+        }, 1000);
+    });
+    liveLogInput.addEventListener('blur', () => {
+        flushLiveLog().catch(error => console.error('Error saving live log:', error));
+    });
+
+    // --- Run Completion & Valuation ---
+    // Bounties are paid out in periodic ticks and the agent reward arrives on turn-in,
+    // so journal rows shortly after the run ended still belong to it
+    const BOUNTY_PAYOUT_GRACE_MINUTES = 20;
+    let lastRunValuation = null;
+
+    async function openCompleteRunDialog(run) {
+        const missions = await getMissions();
+        const mission = missions.find(m => m.id === run.missionId);
+
+        document.getElementById('complete-run-mission-name').textContent = mission ? mission.name : 'Unknown mission';
+        document.getElementById('run-bounties').value = run.rawBounties || '';
+        document.getElementById('run-loot').value = run.rawLoot || '';
+        document.getElementById('run-salvage').value = run.rawSalvage || '';
+        completeRunForm.dataset.runId = run.id;
+
+        runExpensesDiv.innerHTML = '';
+        (run.expenses || []).forEach(expense => addExpenseRow(expense));
+
+        runPreviewDiv.innerHTML = '';
+        runPreviewDiv.style.display = 'none';
+        lastRunValuation = null;
+
+        completeRunDialog.showModal();
+    }
+
+    function addExpenseRow(expense = { description: '', cost: '' }) {
+        const row = document.createElement('div');
+        row.className = 'expense-row';
+        row.innerHTML = `
+            <input type="text" class="expense-description" placeholder="Lost Drone" value="${escapeHtml(expense.description || '')}">
+            <input type="number" class="expense-cost" placeholder="1500000" min="0" value="${expense.cost || ''}">
+            <button type="button" class="remove-expense-btn" aria-label="Remove expense">×</button>
+        `;
+        runExpensesDiv.appendChild(row);
+    }
+
+    function getExpenseRows() {
+        return Array.from(runExpensesDiv.querySelectorAll('.expense-row'))
+            .map(row => ({
+                description: row.querySelector('.expense-description').value.trim(),
+                cost: parseFloat(row.querySelector('.expense-cost').value) || 0
+            }))
+            .filter(expense => expense.description || expense.cost > 0);
+    }
+
+    function getRunResultsInput() {
+        return {
+            rawBounties: document.getElementById('run-bounties').value,
+            rawLoot: document.getElementById('run-loot').value,
+            rawSalvage: document.getElementById('run-salvage').value
+        };
+    }
+
+    /**
+     * Parse and price the pasted results of a run. The last valuation is reused
+     * when the pasted text hasn't changed, so previewing then saving only prices once.
+     */
+    async function valueRunResults(run, input, options = {}) {
+        const cacheKey = JSON.stringify([run.id, input.rawBounties, input.rawLoot, input.rawSalvage]);
+        if (lastRunValuation && lastRunValuation.cacheKey === cacheKey) {
+            return lastRunValuation;
+        }
+
+        const bounties = parseBounties(input.rawBounties, {
+            from: run.startTime,
+            to: run.endTime,
+            graceMinutes: BOUNTY_PAYOUT_GRACE_MINUTES
+        });
+        const loot = parseLoot(input.rawLoot);
+        const salvage = parseLoot(input.rawSalvage);
+
+        // Priced one after the other so the two pastes don't compete for the API
+        const lootValuation = await calculateShipValueDetailed(loot.items, 'loot', options);
+        const salvageValuation = await calculateShipValueDetailed(salvage.items, 'loot', options);
+
+        lastRunValuation = { cacheKey, bounties, loot, salvage, lootValuation, salvageValuation };
+        return lastRunValuation;
+    }
+
+    function renderValuationTable(title, parsed, valuation) {
+        if (parsed.items.size === 0 && parsed.diagnostics.length === 0) {
+            return '';
+        }
+
+        let html = `<h4>${title}: ${Math.round(valuation.totalValue).toLocaleString()} ISK${valuation.estimated ? ' <span class="muted">(estimated)</span>' : ''}</h4>`;
+        if (valuation.strategy) {
+            html += `<p class="muted">Priced at ${escapeHtml(describePriceStrategy(valuation.strategy))}</p>`;
+        }
+        if (valuation.items.length > 0) {
+            html += '<table class="data-table"><thead><tr><th>Item</th><th>Qty</th><th>Unit Price</th><th>Total</th><th>Source</th></tr></thead><tbody>';
+            valuation.items.forEach(item => {
+                const estimate = parsed.estimatedPrices.get(item.name);
+                html += `<tr class="${item.success ? '' : 'unpriced'}">
+                    <td>${escapeHtml(item.name)}</td>
+                    <td>${item.quantity.toLocaleString()}</td>
+                    <td>${item.success ? `${item.estimated ? '~' : ''}${item.unitPrice.toLocaleString()} ISK` : 'Unpriced'}</td>
+                    <td>${item.success ? `${Math.round(item.totalPrice).toLocaleString()} ISK` : (estimate ? `~${Math.round(estimate).toLocaleString()} ISK (in-game estimate)` : '-')}</td>
+                    <td>${item.success ? `${item.source}${item.override && item.override.note ? ` (${escapeHtml(item.override.note)})` : ''}${item.estimated ? `, cached ${new Date(item.pricedAt).toLocaleDateString()}` : ''}` : ''}</td>
+                </tr>`;
+            });
+            html += '</tbody></table>';
+        } else if (parsed.items.size > 0) {
+            html += `<p class="muted">None of the ${parsed.items.size} items could be priced${valuation.error ? ` (${escapeHtml(valuation.error)})` : ''}.</p>`;
+        }
+        const unrecognised = describeUnresolvedNames(valuation);
+        if (unrecognised.length > 0) {
+            html += `<p class="muted">Not recognised:</p><ul class="diagnostics">${unrecognised.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+        }
+        html += renderDiagnostics(parsed.diagnostics);
+        return html;
+    }
+
+    /**
+     * @param {Object} valuation - Result of calculateShipValueDetailed
+     * @returns {string[]} - One line per unrecognised item name, with any "did you mean" suggestions
+     */
+    function describeUnresolvedNames(valuation) {
+        return (valuation.unresolved || []).map(({ name, suggestions }) => (
+            suggestions.length > 0 ? `${name} - did you mean ${suggestions.join(' or ')}?` : name
+        ));
+    }
+
+    function renderDiagnostics(diagnostics) {
+        if (diagnostics.length === 0) {
+            return '';
+        }
+        return `<details><summary>${diagnostics.length} line${diagnostics.length === 1 ? '' : 's'} not used</summary><ul class="diagnostics">
+            ${diagnostics.map(d => `<li>Line ${d.lineNumber}: ${escapeHtml(d.message)}</li>`).join('')}
+        </ul></details>`;
+    }
+
+    function renderRunPreview(valuation) {
+        const { bounties } = valuation;
+        let html = `<h4>Bounties &amp; Rewards: ${Math.round(bounties.totals.total).toLocaleString()} ISK</h4>
+            <ul>
+                <li>Bounty prizes: ${Math.round(bounties.totals.bounties).toLocaleString()} ISK</li>
+                <li>Mission reward: ${Math.round(bounties.totals.missionReward).toLocaleString()} ISK</li>
+                <li>Time bonus: ${Math.round(bounties.totals.timeBonus).toLocaleString()} ISK</li>
+            </ul>`;
+        if (bounties.outsideWindow.length > 0) {
+            html += `<p class="muted">${bounties.outsideWindow.length} journal entr${bounties.outsideWindow.length === 1 ? 'y was' : 'ies were'} outside this run's time window and ignored.</p>`;
+        }
+        html += renderDiagnostics(bounties.diagnostics);
+        html += renderValuationTable('Loot', valuation.loot, valuation.lootValuation);
+        html += renderValuationTable('Salvage', valuation.salvage, valuation.salvageValuation);
+
+        runPreviewDiv.innerHTML = html;
+        runPreviewDiv.style.display = '';
+    }
+
+    async function getCompleteRunFormRun() {
+        const runId = parseInt(completeRunForm.dataset.runId);
+        const run = (await getMissionRuns()).find(r => r.id === runId);
+        if (!run) {
+            throw new Error('Mission run not found');
+        }
+        return run;
+    }
+
+    document.getElementById('add-expense-btn').addEventListener('click', () => addExpenseRow());
+
+    runExpensesDiv.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-expense-btn')) {
+            e.target.closest('.expense-row').remove();
+        }
+    });
+
+    // Pricing in progress in the completion dialog, cancelled if the dialog closes
+    let runValuationAbortController = null;
+
+    function startRunValuation(button) {
+        runValuationAbortController = new AbortController();
+        return {
+            signal: runValuationAbortController.signal,
+            onProgress: progress => { button.textContent = formatPricingProgress(progress); }
+        };
+    }
+
+    completeRunDialog.addEventListener('close', () => {
+        if (runValuationAbortController) {
+            runValuationAbortController.abort();
+            runValuationAbortController = null;
+        }
+    });
+
+    document.getElementById('cancel-complete-run-btn').addEventListener('click', () => {
+        completeRunDialog.close();
+    });
+
+    document.getElementById('preview-run-btn').addEventListener('click', async (e) => {
+        const previewButton = e.target;
+        previewButton.textContent = 'Pricing...';
+        previewButton.disabled = true;
+        try {
+            const run = await getCompleteRunFormRun();
+            renderRunPreview(await valueRunResults(run, getRunResultsInput(), startRunValuation(previewButton)));
+        } catch (error) {
+            if (isAbortError(error)) {
+                return;
+            }
+            console.error('Error previewing run valuation:', error);
+            alert('Error previewing run valuation');
+        } finally {
+            previewButton.textContent = 'Preview Valuation';
+            previewButton.disabled = false;
+        }
+    });
+
+    completeRunForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const submitButton = document.getElementById('save-run-btn');
+        const originalText = submitButton.textContent;
+        submitButton.textContent = 'Pricing...';
+        submitButton.disabled = true;
+
+        try {
+            const run = await getCompleteRunFormRun();
+            const input = getRunResultsInput();
+            const valuation = await valueRunResults(run, input, startRunValuation(submitButton));
+
+            await updateMissionRun(run.id, {
+                ...input,
+                bountiesValue: valuation.bounties.totals.total,
+                bountyBreakdown: {
+                    bounties: valuation.bounties.totals.bounties,
+                    missionReward: valuation.bounties.totals.missionReward,
+                    timeBonus: valuation.bounties.totals.timeBonus
+                },
+                lootValue: valuation.lootValuation.totalValue,
+                salvageValue: valuation.salvageValuation.totalValue,
+                valueEstimated: !!(valuation.lootValuation.estimated || valuation.salvageValuation.estimated),
+                priceStrategy: valuation.lootValuation.strategy || valuation.salvageValuation.strategy || null,
+                expenses: getExpenseRows(),
+                pricedAt: new Date().toISOString()
+            });
+            console.log(`Mission run ${run.id} results saved`);
+
+            completeRunDialog.close();
+            if (historySection.style.display === 'block') {
+                await renderHistory();
+            }
+        } catch (error) {
+            if (isAbortError(error)) {
+                return;
+            }
+            console.error('Error saving mission results:', error);
+            alert('Error saving mission results. Please check the console for details.');
+        } finally {
+            submitButton.textContent = originalText;
+            submitButton.disabled = false;
+        }
+    });
+
+    // --- Mission Run History ---
+    const HISTORY_PAGE_SIZE = 20;
+    let historyPage = 1;
+
+    function populateHistoryFilterOptions(ships, missions) {
+        const shipSelect = document.getElementById('history-ship');
+        const factionSelect = document.getElementById('history-faction');
+        const selectedShip = shipSelect.value;
+        const selectedFaction = factionSelect.value;
+
+        shipSelect.innerHTML = '<option value="">All</option>' + ships
+            .map(ship => `<option value="${ship.id}">${escapeHtml(ship.name)}</option>`)
+            .join('');
+
+        const factions = [...new Set(missions.map(m => m.enemyFaction).filter(Boolean))].sort();
+        factionSelect.innerHTML = '<option value="">All</option>' + factions
+            .map(faction => `<option value="${escapeHtml(faction)}">${escapeHtml(faction)}</option>`)
+            .join('');
+
+        // Keep the current selection across re-renders
+        shipSelect.value = selectedShip;
+        factionSelect.value = selectedFaction;
+    }
+
+    function getHistoryFilters() {
+        const from = document.getElementById('history-from').value;
+        const to = document.getElementById('history-to').value;
+        return {
+            // Date inputs are local calendar days
+            from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+            to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+            status: document.getElementById('history-status').value,
+            level: parseInt(document.getElementById('history-level').value) || null,
+            shipId: parseInt(document.getElementById('history-ship').value) || null,
+            faction: document.getElementById('history-faction').value,
+            sort: document.getElementById('history-sort').value
+        };
+    }
+
+    function filterHistoryRows(rows, filters) {
+        return rows.filter(({ run, mission }) => {
+            const startTime = new Date(run.startTime).getTime();
+            if (filters.from !== null && startTime < filters.from) return false;
+            if (filters.to !== null && startTime > filters.to) return false;
+            if (filters.status === 'in-progress' && !isRunInProgress(run)) return false;
+            if (filters.status && filters.status !== 'in-progress' && run.status !== filters.status) return false;
+            if (filters.level && mission.level !== filters.level) return false;
+            if (filters.shipId && run.shipId !== filters.shipId) return false;
+            if (filters.faction && mission.enemyFaction !== filters.faction) return false;
+            return true;
+        });
+    }
+
+    function sortHistoryRows(rows, sort) {
+        const comparators = {
+            'date-desc': (a, b) => new Date(b.run.startTime) - new Date(a.run.startTime),
+            'date-asc': (a, b) => new Date(a.run.startTime) - new Date(b.run.startTime),
+            'net-desc': (a, b) => b.netIsk - a.netIsk,
+            'net-asc': (a, b) => a.netIsk - b.netIsk,
+            'duration-desc': (a, b) => b.durationMs - a.durationMs,
+            'duration-asc': (a, b) => a.durationMs - b.durationMs,
+            'mission-asc': (a, b) => (a.mission.name || '').localeCompare(b.mission.name || '')
+        };
+        return [...rows].sort(comparators[sort] || comparators['date-desc']);
+    }
+
+    async function renderHistory() {
+        try {
+            const [runs, missions, ships, settings] = await Promise.all([getMissionRuns(), getMissions(), getShips(), getSettings()]);
+            populateHistoryFilterOptions(ships, missions);
+
+            const rows = runs.map(run => {
+                const mission = missions.find(m => m.id === run.missionId) || {};
+                return {
+                    run,
+                    mission,
+                    ship: ships.find(s => s.id === run.shipId) || null,
+                    durationMs: getRunElapsedMs(run),
+                    netIsk: calculateRunMetrics(run, mission, getIskPerLpRate(settings, mission)).totalNetGain
+                };
+            });
+
+            const filters = getHistoryFilters();
+            const filteredRows = sortHistoryRows(filterHistoryRows(rows, filters), filters.sort);
+
+            const pageCount = Math.max(1, Math.ceil(filteredRows.length / HISTORY_PAGE_SIZE));
+            historyPage = Math.min(historyPage, pageCount);
+            const pageRows = filteredRows.slice((historyPage - 1) * HISTORY_PAGE_SIZE, historyPage * HISTORY_PAGE_SIZE);
+
+            document.getElementById('history-count').textContent = `${filteredRows.length} of ${runs.length}`;
+            document.getElementById('history-page-info').textContent = `Page ${historyPage} of ${pageCount}`;
+            document.getElementById('history-prev-btn').disabled = historyPage <= 1;
+            document.getElementById('history-next-btn').disabled = historyPage >= pageCount;
+
+            if (filteredRows.length === 0) {
+                historyListDiv.innerHTML = runs.length === 0
+                    ? '<p>No mission runs recorded yet.</p>'
+                    : '<p>No mission runs match these filters.</p>';
+                return;
+            }
+
+            historyListDiv.innerHTML = `<table class="data-table">
+                <thead><tr>
+                    <th>Date</th><th>Mission</th><th>Ship</th><th>Duration</th><th>Status</th><th>Net ISK</th><th></th>
+                </tr></thead>
+                <tbody>
+                    ${pageRows.map(({ run, mission, ship, durationMs, netIsk }) => `<tr>
+                        <td>${new Date(run.startTime).toLocaleString()}</td>
+                        <td>${escapeHtml(mission.name || 'Unknown mission')}${mission.level ? ` <span class="muted">L${mission.level}</span>` : ''}</td>
+                        <td>${ship ? escapeHtml(ship.name) : '<span class="muted">None</span>'}</td>
+                        <td>${formatDuration(durationMs)}</td>
+                        <td><span class="run-status ${run.status.toLowerCase()}">${run.status}</span></td>
+                        <td>${Math.round(netIsk).toLocaleString()} ISK</td>
+                        <td>${isRunInProgress(run) ? '' : `<button class="edit-run-btn" data-run-id="${run.id}">Edit</button>`}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+        } catch (error) {
+            console.error('Error rendering history:', error);
+            historyListDiv.innerHTML = '<p>Error loading mission history. Please try refreshing the page.</p>';
+        }
+    }
+
+    historyFiltersForm.addEventListener('change', () => {
+        historyPage = 1;
+        renderHistory();
+    });
+
+    historyFiltersForm.addEventListener('reset', () => {
+        // Wait for the browser to clear the inputs before re-rendering
+        setTimeout(() => {
+            historyPage = 1;
+            renderHistory();
+        });
+    });
+
+    historyFiltersForm.addEventListener('submit', (e) => e.preventDefault());
+
+    document.getElementById('history-prev-btn').addEventListener('click', () => {
+        historyPage--;
+        renderHistory();
+    });
+
+    document.getElementById('history-next-btn').addEventListener('click', () => {
+        historyPage++;
+        renderHistory();
+    });
+
+    historyListDiv.addEventListener('click', async (e) => {
+        if (e.target.classList.contains('edit-run-btn')) {
+            const runId = parseInt(e.target.dataset.runId);
+            try {
+                const run = (await getMissionRuns()).find(r => r.id === runId);
+                if (!run) {
+                    throw new Error('Mission run not found');
+                }
+                await openCompleteRunDialog(run);
+            } catch (error) {
+                console.error('Error editing mission run:', error);
+                alert('Error editing mission run');
+            }
+        }
+    });
+
+    // --- Reports ---
+    const REPORT_CHART_METRICS = {
+        iskPerHour: { label: 'ISK per hour', value: row => row.iskPerHour },
+        totalNetGain: { label: 'Total net gain', value: row => row.totalNetGain },
+        averageNetGain: { label: 'Average net gain per run', value: row => row.averageNetGain }
+    };
+
+    async function renderReports() {
+        const summaryDiv = document.getElementById('report-summary');
+        const chartDiv = document.getElementById('report-chart');
+        const tableDiv = document.getElementById('report-table');
+
+        try {
+            const [runs, missions, ships] = await Promise.all([getMissionRuns(), getMissions(), getShips()]);
+            const groupBy = document.getElementById('report-group-by').value;
+            const settings = await getSettings();
+            const chartMetric = REPORT_CHART_METRICS[document.getElementById('report-chart-metric').value];
+
+            const { rows, totals } = buildReport(runs, missions, ships, { groupBy, settings });
+
+            if (rows.length === 0) {
+                summaryDiv.innerHTML = '<p>No finished mission runs to report on yet.</p>';
+                chartDiv.innerHTML = '';
+                tableDiv.innerHTML = '';
+                return;
+            }
+
+            summaryDiv.innerHTML = `<div class="report-metrics">
+                <div><span class="muted">Runs</span><strong>${totals.runs}</strong></div>
+                <div><span class="muted">Total Net Gain</span><strong>${Math.round(totals.totalNetGain).toLocaleString()} ISK</strong></div>
+                <div><span class="muted">Active Time</span><strong>${formatDuration(totals.durationHours * 3600000)}</strong></div>
+                <div><span class="muted">ISK per Hour</span><strong>${Math.round(totals.iskPerHour).toLocaleString()} ISK</strong></div>
+            </div>`;
+
+            chartDiv.innerHTML = `<h4>${chartMetric.label}</h4>` + renderBarChart(rows, {
+                value: chartMetric.value,
+                label: row => row.label
+            });
+
+            tableDiv.innerHTML = `<table class="data-table">
+                <thead><tr>
+                    <th>Group</th><th>Runs</th><th>Bounties</th><th>Loot &amp; Salvage</th><th>LP Value</th>
+                    <th>Expenses</th><th>Net Gain</th><th>Active Time</th><th>ISK/Hour</th>
+                </tr></thead>
+                <tbody>
+                    ${rows.map(row => `<tr>
+                        <td>${escapeHtml(row.label)}</td>
+                        <td>${row.runs}${row.abortedRuns ? ` <span class="muted">(${row.abortedRuns} aborted)</span>` : ''}</td>
+                        <td>${Math.round(row.bountiesValue).toLocaleString()}</td>
+                        <td>${Math.round(row.lootValue + row.salvageValue).toLocaleString()}</td>
+                        <td>${Math.round(row.lpValue).toLocaleString()}</td>
+                        <td>${Math.round(row.expenses).toLocaleString()}</td>
+                        <td>${Math.round(row.totalNetGain).toLocaleString()}</td>
+                        <td>${formatDuration(row.durationHours * 3600000)}</td>
+                        <td>${Math.round(row.iskPerHour).toLocaleString()}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+        } catch (error) {
+            console.error('Error rendering reports:', error);
+            summaryDiv.innerHTML = '<p>Error loading reports. Please try refreshing the page.</p>';
+        }
+    }
+
+    reportOptionsForm.addEventListener('change', renderReports);
+    reportOptionsForm.addEventListener('submit', (e) => e.preventDefault());
+
+    // --- Settings ---
+    async function renderSettings() {
+        try {
+            const [settings, missions, schemaHistory, cachedPriceCount, typeCount, localPriceCount, priceOverrides] = await Promise.all([
+                getSettings(), getMissions(), getSchemaHistory(), countCachedPrices(), countTypes(), countLocalPrices(), getPriceOverrides()
+            ]);
+
+            document.getElementById('settings-isk-per-lp').value = settings.iskPerLpRate;
+            document.getElementById('settings-trade-hub').value = settings.tradeHub;
+            document.getElementById('settings-fitting-price-side').value = settings.fittingPriceSide;
+            document.getElementById('settings-loot-price-side').value = settings.lootPriceSide;
+            document.getElementById('settings-price-method').value = settings.priceMethod;
+            document.getElementById('settings-price-percentile').value = settings.pricePercentile;
+            document.getElementById('settings-price-min-volume').value = settings.priceMinVolume;
+            document.getElementById('settings-price-cache-hours').value = settings.priceCacheHours;
+            document.getElementById('settings-price-max-age').value = settings.priceMaxAgeDays;
+            document.getElementById('settings-reprice-on-startup').value = settings.repriceOnStartupAfterDays;
+            document.getElementById('settings-use-stale-prices').checked = settings.useStalePricesOffline;
+            document.getElementById('price-cache-count').textContent = cachedPriceCount.toLocaleString();
+            document.getElementById('sde-type-count').textContent = typeCount > 0 ? typeCount.toLocaleString() : 'None imported';
+            document.getElementById('local-price-count').textContent = localPriceCount > 0 ? localPriceCount.toLocaleString() : 'None imported';
+            renderProviderList(settings.priceProviders);
+            renderPriceOverrides(priceOverrides);
+
+            corpRatesDiv.innerHTML = '';
+            Object.entries(settings.corporationLpRates).forEach(([corporation, rate]) => addCorpRateRow(corporation, rate));
+
+            document.getElementById('schema-version').textContent = DB_VERSION;
+            document.getElementById('schema-history').innerHTML = schemaHistory
+                .map(entry => `<li>v${entry.version}: ${escapeHtml(entry.description)} <span class="muted">(${new Date(entry.appliedAt).toLocaleString()})</span></li>`)
+                .join('');
+
+            // Suggest the corporations already used in the mission database
+            const corporations = [...new Set(missions.map(m => m.corporation).filter(Boolean))].sort();
+            document.getElementById('corporation-options').innerHTML = corporations
+                .map(corporation => `<option value="${escapeHtml(corporation)}"></option>`)
+                .join('');
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            alert('Error loading settings');
+        }
+    }
+
+    function addCorpRateRow(corporation = '', rate = '') {
+        const row = document.createElement('div');
+        row.className = 'corp-rate-row';
+        row.innerHTML = `
+            <input type="text" class="corp-rate-name" placeholder="Caldari Navy" list="corporation-options" value="${escapeHtml(corporation)}">
+            <input type="number" class="corp-rate-value" placeholder="ISK per LP" min="0" step="any" value="${rate}">
+            <button type="button" class="remove-corp-rate-btn" aria-label="Remove corporation rate">×</button>
+        `;
+        corpRatesDiv.appendChild(row);
+    }
+
+    // Enabled providers in their saved order, then the disabled ones
+    function renderProviderList(providerIds) {
+        const enabledIds = providerIds.filter(id => PRICE_PROVIDERS[id]);
+        const orderedIds = [...enabledIds, ...Object.keys(PRICE_PROVIDERS).filter(id => !enabledIds.includes(id))];
+        providerList.innerHTML = orderedIds.map(id => {
+            const provider = PRICE_PROVIDERS[id];
+            return `
+                <li class="provider-row" data-provider="${id}">
+                    <label>
+                        <input type="checkbox" class="provider-enabled" ${enabledIds.includes(id) ? 'checked' : ''}>
+                        ${escapeHtml(provider.label)} <span class="muted">${escapeHtml(provider.description)}</span>
+                    </label>
+                    <span class="provider-status"></span>
+                    <button type="button" class="move-provider-btn" data-direction="up" aria-label="Move ${escapeHtml(provider.label)} up">↑</button>
+                    <button type="button" class="move-provider-btn" data-direction="down" aria-label="Move ${escapeHtml(provider.label)} down">↓</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    providerList.addEventListener('click', (e) => {
+        const moveButton = e.target.closest('.move-provider-btn');
+        if (!moveButton) {
+            return;
+        }
+        const row = moveButton.closest('.provider-row');
+        if (moveButton.dataset.direction === 'up' && row.previousElementSibling) {
+            providerList.insertBefore(row, row.previousElementSibling);
+        } else if (moveButton.dataset.direction === 'down' && row.nextElementSibling) {
+            providerList.insertBefore(row.nextElementSibling, row);
+        }
+    });
+
+    document.getElementById('check-providers-btn').addEventListener('click', async (e) => {
+        const checkButton = e.target;
+        const originalText = checkButton.textContent;
+        checkButton.textContent = 'Checking...';
+        checkButton.disabled = true;
+
+        try {
+            const health = await checkProviderHealth();
+            health.forEach(({ id, network, available }) => {
+                const status = providerList.querySelector(`[data-provider="${id}"] .provider-status`);
+                status.className = `provider-status ${available ? 'available' : 'unavailable'}`;
+                // Local providers are "unavailable" until they have data
+                status.textContent = network ? (available ? 'Reachable' : 'Unreachable') : (available ? 'Ready' : 'No data');
+            });
+        } catch (error) {
+            console.error('Error checking price sources:', error);
+            alert('Error checking price sources');
+        } finally {
+            checkButton.textContent = originalText;
+            checkButton.disabled = false;
+        }
+    });
+
+    document.getElementById('add-corp-rate-btn').addEventListener('click', () => addCorpRateRow());
+
+    corpRatesDiv.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-corp-rate-btn')) {
+            e.target.closest('.corp-rate-row').remove();
+        }
+    });
+
+    settingsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const corporationLpRates = {};
+        corpRatesDiv.querySelectorAll('.corp-rate-row').forEach(row => {
+            const corporation = row.querySelector('.corp-rate-name').value.trim();
+            const rate = parseFloat(row.querySelector('.corp-rate-value').value);
+            if (corporation && !isNaN(rate)) {
+                corporationLpRates[corporation] = rate;
+            }
+        });
+
+        const submitButton = e.target.querySelector('button[type="submit"]');
+        const originalText = submitButton.textContent;
+        submitButton.disabled = true;
+
+        try {
+            await saveSettings({
+                iskPerLpRate: parseFloat(document.getElementById('settings-isk-per-lp').value) || 0,
+                corporationLpRates,
+                tradeHub: document.getElementById('settings-trade-hub').value,
+                fittingPriceSide: document.getElementById('settings-fitting-price-side').value,
+                lootPriceSide: document.getElementById('settings-loot-price-side').value,
+                priceMethod: document.getElementById('settings-price-method').value,
+                pricePercentile: parseFloat(document.getElementById('settings-price-percentile').value) || DEFAULT_SETTINGS.pricePercentile,
+                priceMinVolume: parseFloat(document.getElementById('settings-price-min-volume').value) || 0,
+                priceCacheHours: parseFloat(document.getElementById('settings-price-cache-hours').value) || DEFAULT_SETTINGS.priceCacheHours,
+                priceMaxAgeDays: parseFloat(document.getElementById('settings-price-max-age').value) || 0,
+                repriceOnStartupAfterDays: parseFloat(document.getElementById('settings-reprice-on-startup').value) || 0,
+                useStalePricesOffline: document.getElementById('settings-use-stale-prices').checked,
+                priceProviders: Array.from(providerList.querySelectorAll('.provider-row'))
+                    .filter(row => row.querySelector('.provider-enabled').checked)
+                    .map(row => row.dataset.provider)
+            });
+            submitButton.textContent = 'Saved';
+            setTimeout(() => { submitButton.textContent = originalText; }, 1500);
+            await renderSettings();
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            alert('Error saving settings');
+            submitButton.textContent = originalText;
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    document.getElementById('clear-price-cache-btn').addEventListener('click', async () => {
+        if (!confirm('Clear all cached prices and item IDs? Items will be looked up online again next time they are priced.')) {
+            return;
+        }
+        try {
+            await clearPriceCache();
+            await renderSettings();
+        } catch (error) {
+            console.error('Error clearing price cache:', error);
+            alert('Error clearing price cache');
+        }
+    });
+
+    document.getElementById('import-sde-btn').addEventListener('click', async (e) => {
+        const files = Array.from(document.getElementById('sde-files').files);
+        if (files.length === 0) {
+            alert('Choose the SDE files to import first.');
+            return;
+        }
+
+        const importButton = e.target;
+        const originalText = importButton.textContent;
+        importButton.textContent = 'Importing...';
+        importButton.disabled = true;
+
+        try {
+            const parsedFiles = await Promise.all(files.map(async file => parseSdeFile(await file.text(), file.name)));
+            const types = buildTypeRecords(parsedFiles);
+            if (!confirm(`Replace the item database with ${types.length.toLocaleString()} items?`)) {
+                return;
+            }
+
+            await replaceTypes(types);
+            resetTypeNameIndex();
+            document.getElementById('sde-files').value = '';
+            console.log(`Imported ${types.length} SDE types`);
+            await renderSettings();
+        } catch (error) {
+            console.error('Error importing SDE files:', error);
+            alert(`Item database import failed: ${error.message}`);
+        } finally {
+            importButton.textContent = originalText;
+            importButton.disabled = false;
+        }
+    });
+
+    document.getElementById('import-local-prices-btn').addEventListener('click', async (e) => {
+        const file = document.getElementById('local-price-file').files[0];
+        if (!file) {
+            alert('Choose a price list file to import first.');
+            return;
+        }
+
+        const importButton = e.target;
+        const originalText = importButton.textContent;
+        importButton.textContent = 'Importing...';
+        importButton.disabled = true;
+
+        try {
+            const entries = parsePriceList(await file.text(), file.name);
+            if (!confirm(`Replace the local price list with ${entries.length.toLocaleString()} prices?`)) {
+                return;
+            }
+
+            await replaceLocalPrices(entries);
+            document.getElementById('local-price-file').value = '';
+            console.log(`Imported ${entries.length} local prices`);
+            await renderSettings();
+        } catch (error) {
+            console.error('Error importing price list:', error);
+            alert(`Price list import failed: ${error.message}`);
+        } finally {
+            importButton.textContent = originalText;
+            importButton.disabled = false;
+        }
+    });
+
+    document.getElementById('clear-local-prices-btn').addEventListener('click', async () => {
+        if (!confirm('Clear the local price list?')) {
+            return;
+        }
+        try {
+            await replaceLocalPrices([]);
+            await renderSettings();
+        } catch (error) {
+            console.error('Error clearing local price list:', error);
+            alert('Error clearing local price list');
+        }
+    });
+
+    // --- Price Overrides ---
+    const priceOverrideForm = document.getElementById('price-override-form');
+    const priceOverrideList = document.getElementById('price-override-list');
+
+    function renderPriceOverrides(overrides) {
+        if (overrides.length === 0) {
+            priceOverrideList.innerHTML = '<p class="muted">No price overrides.</p>';
+            return;
+        }
+        const rows = [...overrides]
+            .sort((a, b) => (a.name || String(a.typeId)).localeCompare(b.name || String(b.typeId)))
+            .map(override => {
+                const expired = override.expiresAt && new Date(override.expiresAt).getTime() <= Date.now();
+                return `<tr class="${expired ? 'expired' : ''}">
+                    <td>${escapeHtml(override.name || '')}${override.typeId ? ` <span class="muted">#${override.typeId}</span>` : ''}</td>
+                    <td>${override.price.toLocaleString()} ISK</td>
+                    <td>${escapeHtml(override.note)}</td>
+                    <td>${override.expiresAt ? `${new Date(override.expiresAt).toLocaleDateString()}${expired ? ' (expired)' : ''}` : 'Never'}</td>
+                    <td><button type="button" class="remove-price-override-btn secondary-btn" data-key="${escapeHtml(override.key)}">Remove</button></td>
+                </tr>`;
+            });
+        priceOverrideList.innerHTML = `<table class="data-table">
+            <thead><tr><th>Item</th><th>Price</th><th>Note</th><th>Expires</th><th></th></tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>`;
+    }
+
+    priceOverrideForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const item = document.getElementById('price-override-item').value.trim();
+        const expires = document.getElementById('price-override-expires').value;
+        // A whole number is a type ID; anything else is an item name
+        const typeId = /^\d+$/.test(item) ? parseInt(item) : null;
+        const override = {
+            typeId,
+            name: typeId ? '' : item,
+            price: parseFloat(document.getElementById('price-override-price').value),
+            note: document.getElementById('price-override-note').value.trim(),
+            // Good until the end of the chosen day
+            expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : null,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            await savePriceOverride(override);
+            priceOverrideForm.reset();
+            renderPriceOverrides(await getPriceOverrides());
+        } catch (error) {
+            console.error('Error saving price override:', error);
+            alert(`Error saving price override: ${error.message}`);
+        }
+    });
+
+    priceOverrideList.addEventListener('click', async (e) => {
+        if (!e.target.classList.contains('remove-price-override-btn')) {
+            return;
+        }
+        try {
+            await deletePriceOverride(e.target.dataset.key);
+            renderPriceOverrides(await getPriceOverrides());
+        } catch (error) {
+            console.error('Error removing price override:', error);
+            alert('Error removing price override');
+        }
+    });
+
+    // --- Backup & Restore ---
+    const importDialog = document.getElementById('import-dialog');
+    let pendingImport = null;
+
+    document.getElementById('export-data-btn').addEventListener('click', async () => {
+        try {
+            const backup = await exportDatabase();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `eve-mission-tracker-backup-${getLocalDateKey(new Date())}.json`;
+            link.click();
+            // Revoking straight away can cancel the download before it starts
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+
+            const recordCount = Object.values(backup.stores).reduce((total, records) => total + records.length, 0);
+            console.log(`Exported ${recordCount} records`);
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            alert('Error exporting data');
+        }
+    });
+
+    document.getElementById('import-data-btn').addEventListener('click', async () => {
+        const file = document.getElementById('import-file').files[0];
+        if (!file) {
+            alert('Choose a backup file to import first.');
+            return;
+        }
+
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+            validateBackup(backup);
+        } catch (error) {
+            console.error('Invalid backup file:', error);
+            alert(`Cannot import this file: ${error instanceof SyntaxError ? 'it is not valid JSON.' : error.message}`);
+            return;
+        }
+
+        try {
+            const plan = await planImport(backup, mode);
+            pendingImport = { backup, mode };
+
+            document.getElementById('import-summary-text').textContent = mode === 'replace'
+                ? `Replace all data with the backup from ${new Date(backup.exportedAt).toLocaleString()}?`
+                : `Merge the backup from ${new Date(backup.exportedAt).toLocaleString()} into your data?`;
+            document.getElementById('import-summary').innerHTML = `<table class="data-table">
+                <thead><tr><th>Store</th><th>Added</th><th>Updated</th><th>Deleted</th></tr></thead>
+                <tbody>
+                    ${Object.entries(plan).map(([storeName, counts]) => `<tr>
+                        <td>${escapeHtml(storeName)}</td>
+                        <td>${counts.added}</td>
+                        <td>${counts.updated}</td>
+                        <td>${counts.deleted}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+            importDialog.showModal();
+        } catch (error) {
+            console.error('Error preparing import:', error);
+            alert('Error preparing import');
+        }
+    });
+
+    document.getElementById('cancel-import-btn').addEventListener('click', () => {
+        pendingImport = null;
+        importDialog.close();
+    });
+
+    document.getElementById('confirm-import-btn').addEventListener('click', async (e) => {
+        if (!pendingImport) {
+            return;
+        }
+
+        const confirmButton = e.target;
+        confirmButton.disabled = true;
+        try {
+            await importDatabase(pendingImport.backup, pendingImport.mode);
+            console.log(`Backup imported (${pendingImport.mode})`);
+            importDialog.close();
+            document.getElementById('import-file').value = '';
+
+            // The imported data may include a run in progress
+            activeRun = await getActiveRun();
+            await Promise.all([renderShips(), renderMissions(), renderActiveRun(), renderSettings()]);
+            alert('Import complete.');
+        } catch (error) {
+            console.error('Error importing data:', error);
+            alert(`Import failed and no changes were made: ${error.message}`);
+        } finally {
+            pendingImport = null;
+            confirmButton.disabled = false;
+        }
+    });
+
+    // Resume any run that was in progress when the page was closed
+    try {
+        activeRun = await getActiveRun();
+    } catch (error) {
+        console.error('Error loading active mission run:', error);
+    }
+
+    if (activeRun) {
+        console.log('Resuming mission run in progress');
+        document.querySelector('[data-section="dashboard-section"]').click();
+    } else {
+        // Set hangar as default view for now
+        document.querySelector('[data-section="hangar-section"]').click();
+    }
+
+    repriceStaleShipsOnStartup();
 });
\ No newline at end of file
@@ -2,62 +2,235 @@
 console.log("db.js loaded");
 
 const DB_NAME = 'EVE_MISSION_TRACKER_DB';
-const DB_VERSION = 2;
+
+/**
+ * Ordered schema migrations. When the database is opened at a higher version,
+ * every migration newer than the stored version runs in order inside the single
+ * upgrade transaction, so a failed step rolls the whole upgrade back.
+ * Each `migrate(database, transaction)` may create stores and add indexes;
+ * `transformRecords` maps store names to record => updated record (or null to
+ * leave it unchanged), and is also applied to records from older backups on import.
+ * Never edit a released migration; append a new one.
+ *
+ * Versions 1-5 mirror what earlier releases created (including the version the
+ * old missing-store workaround reopened at), which is why they only create
+ * what is missing.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Create 'ships' store",
+        migrate(database) {
+            createStoreIfMissing(database, 'ships', { keyPath: 'id', autoIncrement: true });
+        }
+    },
+    {
+        version: 2,
+        description: "Create 'missions' store",
+        migrate(database) {
+            createStoreIfMissing(database, 'missions', { keyPath: 'id', autoIncrement: true });
+        }
+    },
+    {
+        version: 3,
+        description: "Create 'missionRuns' store",
+        migrate(database) {
+            createStoreIfMissing(database, 'missionRuns', { keyPath: 'id', autoIncrement: true });
+        }
+    },
+    {
+        version: 4,
+        description: "Create 'settings' store",
+        migrate(database) {
+            createStoreIfMissing(database, 'settings', { keyPath: 'id' });
+        }
+    },
+    {
+        version: 5,
+        description: 'Ensure stores exist for databases upgraded by the old reopen workaround',
+        migrate(database) {
+            createStoreIfMissing(database, 'ships', { keyPath: 'id', autoIncrement: true });
+            createStoreIfMissing(database, 'missions', { keyPath: 'id', autoIncrement: true });
+            createStoreIfMissing(database, 'missionRuns', { keyPath: 'id', autoIncrement: true });
+            createStoreIfMissing(database, 'settings', { keyPath: 'id' });
+        }
+    },
+    {
+        version: 6,
+        description: 'Record schema history; index runs and missions; backfill mission corporation',
+        migrate(database, transaction) {
+            createStoreIfMissing(database, 'schemaMigrations', { keyPath: 'version' });
+            
+            const runs = transaction.objectStore('missionRuns');
+            createIndexIfMissing(runs, 'missionId', 'missionId');
+            createIndexIfMissing(runs, 'shipId', 'shipId');
+            createIndexIfMissing(runs, 'startTime', 'startTime');
+            createIndexIfMissing(runs, 'status', 'status');
+            
+            createIndexIfMissing(transaction.objectStore('missions'), 'level', 'level');
+        },
+        transformRecords: {
+            missions: mission => (mission.corporation === undefined ? { ...mission, corporation: '' } : null)
+        }
+    },
+    {
+        version: 7,
+        description: "Create 'prices' and 'typeIds' caches",
+        migrate(database) {
+            createStoreIfMissing(database, 'prices', { keyPath: 'key' });
+            createStoreIfMissing(database, 'typeIds', { keyPath: 'name' });
+        }
+    },
+    {
+        version: 8,
+        description: "Create 'types' store for imported SDE item data",
+        migrate(database, transaction) {
+            createStoreIfMissing(database, 'types', { keyPath: 'typeId' });
+            createIndexIfMissing(transaction.objectStore('types'), 'aliases', 'aliases', { multiEntry: true });
+        }
+    },
+    {
+        version: 9,
+        description: 'Replace the single price type setting with separate fitting and loot price sides',
+        transformRecords: {
+            settings: settings => {
+                if (settings.priceType === undefined) {
+                    return null;
+                }
+                const { priceType, ...rest } = settings;
+                return { ...rest, fittingPriceSide: priceType };
+            }
+        }
+    },
+    {
+        version: 10,
+        description: "Create 'localPrices' store for the local price list provider",
+        migrate(database, transaction) {
+            createStoreIfMissing(database, 'localPrices', { keyPath: 'typeId' });
+            createIndexIfMissing(transaction.objectStore('localPrices'), 'aliases', 'aliases', { multiEntry: true });
+        }
+    },
+    {
+        version: 11,
+        description: 'Start each ship\'s fitting history with its current fitting',
+        transformRecords: {
+            ships: ship => (ship.revisions ? null : {
+                ...ship,
+                revisions: ship.fitting ? [{
+                    fitting: ship.fitting,
+                    type: ship.type || '',
+                    value: ship.value || 0,
+                    valueEstimated: !!ship.valueEstimated,
+                    priceStrategy: ship.priceStrategy || null,
+                    pricedAt: ship.pricedAt || null,
+                    revisedAt: ship.pricedAt || new Date().toISOString(),
+                    restoredFrom: null
+                }] : []
+            })
+        }
+    },
+    {
+        version: 12,
+        description: 'Start each ship\'s value history with its current value',
+        transformRecords: {
+            ships: ship => (ship.valueHistory ? null : {
+                ...ship,
+                valueHistory: ship.value > 0 ? [{
+                    value: ship.value,
+                    valueEstimated: !!ship.valueEstimated,
+                    priceStrategy: ship.priceStrategy || null,
+                    pricedAt: ship.pricedAt || new Date().toISOString()
+                }] : []
+            })
+        }
+    },
+    {
+        version: 13,
+        description: "Create 'priceOverrides' store for manual item prices",
+        migrate(database) {
+            createStoreIfMissing(database, 'priceOverrides', { keyPath: 'key' });
+        }
+    },
+    {
+        version: 14,
+        description: 'Store checklist items as { text, source } so items generated from the fitting can be checked against it',
+        transformRecords: {
+            ships: ship => (
+                (ship.checklist || []).some(entry => typeof entry === 'string')
+                    ? { ...ship, checklist: ship.checklist.map(toChecklistEntry) }
+                    : null
+            )
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Internal bookkeeping and cache stores, not part of the user's data (e.g. left out of backups)
+const INTERNAL_STORES = ['schemaMigrations', 'prices', 'typeIds', 'types'];
+
 let db;
 
-function initDB() {
+/**
+ * Open the database, running any pending migrations
+ * @param {Object} [options]
+ * @param {Function} [options.onVersionChange] - Called after this connection closes
+ *   because another tab is upgrading the database; the page must be reloaded
+ * @param {Function} [options.onBlocked] - Called when the upgrade is waiting for
+ *   other tabs that still have an older version open
+ * @returns {Promise<IDBDatabase>}
+ */
+function initDB(options = {}) {
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
 
         request.onupgradeneeded = (event) => {
             const database = event.target.result;
-            console.log("Database upgrade needed. Creating object stores...");
+            const transaction = event.target.transaction;
+            const pending = MIGRATIONS.filter(migration => migration.version > event.oldVersion);
+            console.log(`Database upgrade needed from version ${event.oldVersion} to ${DB_VERSION}`);
             
-            if (!database.objectStoreNames.contains('ships')) {
-                database.createObjectStore('ships', { keyPath: 'id', autoIncrement: true });
-                console.log("Created 'ships' object store");
-            }
-            if (!database.objectStoreNames.contains('missions')) {
-                database.createObjectStore('missions', { keyPath: 'id', autoIncrement: true });
-                console.log("Created 'missions' object store");
+            pending.forEach(migration => {
+                console.log(`Applying migration ${migration.version}: ${migration.description}`);
+                if (migration.migrate) {
+                    migration.migrate(database, transaction);
+                }
+            });
+            
+            // One cursor per store runs every pending transform on each record; a cursor
+            // per migration would have each one overwrite the others' updates
+            new Set(pending.flatMap(migration => Object.keys(migration.transformRecords || {}))).forEach(storeName => {
+                updateRecords(transaction, storeName, getRecordTransform(event.oldVersion, storeName));
+            });
+            
+            // Migrations before the history store existed are recorded now, in the same transaction
+            if (database.objectStoreNames.contains('schemaMigrations')) {
+                const history = transaction.objectStore('schemaMigrations');
+                const appliedAt = new Date().toISOString();
+                pending.forEach(migration => history.put({
+                    version: migration.version,
+                    description: migration.description,
+                    fromVersion: event.oldVersion,
+                    appliedAt
+                }));
             }
-            // Future object stores can be created here
-            // e.g., missionRuns, settings
         };
 
         request.onsuccess = (event) => {
             db = event.target.result;
-            console.log("Database initialized successfully.");
-            
-            // Ensure all required object stores exist
-            const requiredStores = ['ships', 'missions'];
-            const missingStores = requiredStores.filter(store => !db.objectStoreNames.contains(store));
+            console.log(`Database initialized successfully at version ${db.version}.`);
             
-            if (missingStores.length > 0) {
-                console.error("Missing object stores:", missingStores);
-                // Close and reopen with version increment to trigger upgrade
+            // Another tab wants to upgrade: step aside instead of blocking it
+            db.onversionchange = () => {
+                console.warn("Database is being upgraded in another tab. Closing this connection.");
                 db.close();
-                const upgradeRequest = indexedDB.open(DB_NAME, DB_VERSION + 1);
-                upgradeRequest.onupgradeneeded = (upgradeEvent) => {
-                    const upgradeDb = upgradeEvent.target.result;
-                    missingStores.forEach(storeName => {
-                        if (!upgradeDb.objectStoreNames.contains(storeName)) {
-                            upgradeDb.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
-                            console.log(`Created missing '${storeName}' object store`);
-                        }
-                    });
-                };
-                upgradeRequest.onsuccess = (upgradeEvent) => {
-                    db = upgradeEvent.target.result;
-                    resolve(db);
-                };
-                upgradeRequest.onerror = (upgradeEvent) => {
-                    console.error("Database upgrade error:", upgradeEvent.target.error);
-                    reject(upgradeEvent.target.error);
-                };
-            } else {
-                resolve(db);
-            }
+                db = null;
+                if (options.onVersionChange) {
+                    options.onVersionChange();
+                }
+            };
+            
+            resolve(db);
         };
 
         request.onerror = (event) => {
@@ -65,233 +238,1086 @@ function initDB() {
             reject(event.target.error);
         };
         
-        request.onblocked = (event) => {
-            console.warn("Database blocked. Please close other tabs with this application.");
+        request.onblocked = () => {
+            console.warn("Database upgrade blocked by another tab with an older version of this application.");
+            if (options.onBlocked) {
+                options.onBlocked();
+            }
         };
     });
 }
 
-function addShip(ship) {
+function createStoreIfMissing(database, storeName, storeOptions) {
+    if (!database.objectStoreNames.contains(storeName)) {
+        database.createObjectStore(storeName, storeOptions);
+        console.log(`Created '${storeName}' object store`);
+    }
+}
+
+function createIndexIfMissing(store, indexName, keyPath, indexOptions = {}) {
+    if (!store.indexNames.contains(indexName)) {
+        store.createIndex(indexName, keyPath, indexOptions);
+        console.log(`Created '${indexName}' index on '${store.name}'`);
+    }
+}
+
+/**
+ * Rewrite every record in a store during a migration
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ * @param {string} storeName - Store to rewrite
+ * @param {Function} transform - record => updated record, or null to leave it unchanged
+ */
+function updateRecords(transaction, storeName, transform) {
+    const request = transaction.objectStore(storeName).openCursor();
+    request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            return;
+        }
+        const updated = transform(cursor.value);
+        if (updated) {
+            cursor.update(updated);
+        }
+        cursor.continue();
+    };
+}
+
+// --- Transactions & Repositories ---
+
+/**
+ * Run work against one or more stores in a single transaction. Everything the
+ * work does commits together, or - if it throws or calls `fail` - rolls back together.
+ * @param {string[]} storeNames - Stores the transaction covers
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - (stores, fail) => resultGetter. `stores` maps each name to its
+ *   IDBObjectStore; `fail(error)` aborts the transaction with that error. Whatever the work
+ *   returns is resolved once the transaction commits; return a function to resolve with a
+ *   value read from request callbacks at that point.
+ * @returns {Promise<*>}
+ */
+function runTransaction(storeNames, mode, work) {
     return new Promise((resolve, reject) => {
         if (!db) {
             reject(new Error('Database not initialized'));
             return;
         }
         
-        // Check if the object store exists
-        if (!db.objectStoreNames.contains('ships')) {
-            reject(new Error('Ships object store not found'));
+        const missingStores = storeNames.filter(storeName => !db.objectStoreNames.contains(storeName));
+        if (missingStores.length > 0) {
+            reject(new Error(`Object store not found: ${missingStores.join(', ')}`));
             return;
         }
         
-        const transaction = db.transaction(['ships'], 'readwrite');
-        const store = transaction.objectStore('ships');
+        const transaction = db.transaction(storeNames, mode);
+        let result;
+        let failure = null;
         
-        // Ensure ship has required fields with defaults
-        const shipData = {
-            name: ship.name || '',
-            type: ship.type || '',
-            fitting: ship.fitting || '',
-            value: ship.value || 0,
-            checklist: ship.checklist || [],
-            isActive: ship.isActive || false,
-            ...ship // Allow override of defaults
+        const fail = (error) => {
+            if (failure) {
+                return;
+            }
+            failure = error;
+            try {
+                transaction.abort();
+            } catch (abortError) {
+                // Already finished; onabort/oncomplete has settled the promise
+            }
         };
         
-        const request = store.add(shipData);
-
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+        // A transaction settles exactly once, so so does this promise
+        transaction.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+        transaction.onabort = () => reject(failure || transaction.error || new Error('Transaction aborted'));
+        
+        const stores = {};
+        storeNames.forEach(storeName => {
+            stores[storeName] = transaction.objectStore(storeName);
+        });
         
-        transaction.onerror = (event) => reject(event.target.error);
+        try {
+            result = work(stores, fail);
+        } catch (error) {
+            fail(error);
+        }
     });
 }
 
-function getShips() {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            reject(new Error('Database not initialized'));
-            return;
-        }
+/**
+ * Create the standard data access API for an object store, so every store gets
+ * the same defaults, validation and error handling
+ * @param {string} storeName - Object store name
+ * @param {Object} [options]
+ * @param {string} [options.label] - Record name used in errors, e.g. 'Ship'
+ * @param {Function} [options.defaults] - record => record with missing fields filled in (applied on add)
+ * @param {Function} [options.validate] - record => void, throws an Error if the record is invalid
+ * @returns {Object} - Repository with prepare, get, getAll, query, page, count, add, put, update, delete, bulkPut and bulkDelete
+ */
+function createRepository(storeName, { label = 'Record', defaults = record => record, validate = () => {} } = {}) {
+    const inStore = (mode, work) => runTransaction([storeName], mode, (stores, fail) => work(stores[storeName], fail));
+    
+    // A whole record as it will be written: defaults filled in, then validated
+    const prepare = record => {
+        const prepared = defaults(record);
+        validate(prepared);
+        return prepared;
+    };
+    
+    // Index (or the store itself) to read from, for query and page
+    const source = (store, indexName) => (indexName ? store.index(indexName) : store);
+    
+    return {
+        storeName,
+        validate,
+        prepare,
         
-        // Check if the object store exists
-        if (!db.objectStoreNames.contains('ships')) {
-            reject(new Error('Ships object store not found'));
-            return;
-        }
+        get(id) {
+            return inStore('readonly', store => {
+                const request = store.get(id);
+                return () => request.result || null;
+            });
+        },
         
-        const transaction = db.transaction(['ships'], 'readonly');
-        const store = transaction.objectStore('ships');
-        const request = store.getAll();
-
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+        getAll() {
+            return inStore('readonly', store => {
+                const request = store.getAll();
+                return () => request.result;
+            });
+        },
         
-        transaction.onerror = (event) => reject(event.target.error);
-    });
-}
-
-function updateShip(shipId, updateData) {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            reject(new Error('Database not initialized'));
-            return;
-        }
+        /**
+         * @param {string} indexName - Index to query
+         * @param {*} [range] - Key or IDBKeyRange; all records when omitted
+         * @param {number} [limit] - Maximum number of records
+         */
+        query(indexName, range, limit) {
+            return inStore('readonly', store => {
+                const request = store.index(indexName).getAll(range, limit);
+                return () => request.result;
+            });
+        },
+        
+        /**
+         * Read one page of records with a cursor, without loading the whole store
+         * @param {Object} [options] - { index, range, direction ('next' or 'prev'), offset, limit }
+         * @returns {Promise<Object>} - { records, hasMore, nextOffset }
+         */
+        page({ index, range, direction = 'next', offset = 0, limit = 20 } = {}) {
+            return inStore('readonly', store => {
+                const records = [];
+                let hasMore = false;
+                let skipped = offset === 0;
+                
+                const request = source(store, index).openCursor(range, direction);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        return;
+                    }
+                    if (!skipped) {
+                        skipped = true;
+                        cursor.advance(offset);
+                        return;
+                    }
+                    if (records.length === limit) {
+                        hasMore = true;
+                        return;
+                    }
+                    records.push(cursor.value);
+                    cursor.continue();
+                };
+                
+                return () => ({ records, hasMore, nextOffset: offset + records.length });
+            });
+        },
+        
+        count(range) {
+            return inStore('readonly', store => {
+                const request = store.count(range);
+                return () => request.result;
+            });
+        },
         
-        const transaction = db.transaction(['ships'], 'readwrite');
-        const store = transaction.objectStore('ships');
+        /** @returns {Promise<*>} - Key of the new record */
+        add(record) {
+            return inStore('readwrite', store => {
+                const request = store.add(prepare(record));
+                return () => request.result;
+            });
+        },
         
-        // First get the existing ship
-        const getRequest = store.get(shipId);
+        /** Insert or replace a whole record. @returns {Promise<*>} - Key of the record */
+        put(record) {
+            return inStore('readwrite', store => {
+                const request = store.put(prepare(record));
+                return () => request.result;
+            });
+        },
+        
+        /**
+         * Merge changes into an existing record
+         * @returns {Promise<Object>} - The updated record
+         */
+        update(id, updateData) {
+            return inStore('readwrite', (store, fail) => {
+                let updated = null;
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (!request.result) {
+                        fail(new Error(`${label} not found`));
+                        return;
+                    }
+                    try {
+                        updated = { ...request.result, ...updateData };
+                        validate(updated);
+                        store.put(updated);
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+                return () => updated;
+            });
+        },
         
-        getRequest.onsuccess = () => {
-            const ship = getRequest.result;
+        delete(id) {
+            return inStore('readwrite', store => {
+                store.delete(id);
+            });
+        },
+        
+        /** Put many records; if any is invalid, none are written. @returns {Promise<Array>} - Their keys */
+        bulkPut(records) {
+            return inStore('readwrite', store => {
+                const requests = records.map(record => store.put(prepare(record)));
+                return () => requests.map(request => request.result);
+            });
+        },
+        
+        bulkDelete(ids) {
+            return inStore('readwrite', store => {
+                ids.forEach(id => store.delete(id));
+            });
+        }
+    };
+}
+
+// Validation helpers shared by the repositories below
+function requireString(record, field, label) {
+    if (typeof record[field] !== 'string') {
+        throw new Error(`${label} ${field} must be text`);
+    }
+}
+
+function requireNonNegativeNumber(record, field, label) {
+    if (typeof record[field] !== 'number' || !isFinite(record[field]) || record[field] < 0) {
+        throw new Error(`${label} ${field} must be a number of at least 0`);
+    }
+}
+
+function requireArray(record, field, label) {
+    if (!Array.isArray(record[field])) {
+        throw new Error(`${label} ${field} must be a list`);
+    }
+}
+
+/**
+ * Chain the record transforms of every migration after a schema version for one store
+ * @param {number} fromVersion - Schema version the records were written at
+ * @param {string} storeName
+ * @returns {Function} - record => updated record, or null if no transform changed it
+ */
+function getRecordTransform(fromVersion, storeName) {
+    const transforms = MIGRATIONS
+        .filter(migration => migration.version > fromVersion && migration.transformRecords && migration.transformRecords[storeName])
+        .map(migration => migration.transformRecords[storeName]);
+    return record => {
+        const updated = transforms.reduce((current, transform) => transform(current) || current, record);
+        return updated === record ? null : updated;
+    };
+}
+
+/**
+ * Applied migrations, oldest first
+ * @returns {Promise<Object[]>} - [{ version, description, fromVersion, appliedAt }]
+ */
+function getSchemaHistory() {
+    return schemaMigrationRepository.getAll();
+}
+
+const schemaMigrationRepository = createRepository('schemaMigrations', { label: 'Migration' });
+
+// --- Ships ---
+const shipRepository = createRepository('ships', {
+    label: 'Ship',
+    defaults: ship => {
+        const prepared = {
+            name: '',
+            type: '',
+            fitting: '',
+            value: 0,
+            checklist: [],
+            isActive: false,
+            ...ship
+        };
+        if (Array.isArray(prepared.checklist)) {
+            prepared.checklist = prepared.checklist.map(toChecklistEntry);
+        }
+        // A new ship's histories start with the fitting it was added with and its value
+        if (!prepared.revisions) {
+            prepared.revisions = prepared.fitting ? [createShipRevision(prepared)] : [];
+        }
+        if (!prepared.valueHistory) {
+            prepared.valueHistory = appendShipValuePoint([], prepared);
+        }
+        return prepared;
+    },
+    validate: ship => {
+        requireString(ship, 'name', 'Ship');
+        requireString(ship, 'fitting', 'Ship');
+        requireNonNegativeNumber(ship, 'value', 'Ship');
+        requireArray(ship, 'checklist', 'Ship');
+        requireArray(ship, 'revisions', 'Ship');
+        requireArray(ship, 'valueHistory', 'Ship');
+        // Only ships valued since itemised valuations were added have a breakdown
+        if (ship.valuationItems !== undefined) {
+            requireArray(ship, 'valuationItems', 'Ship');
+        }
+    }
+});
+
+/**
+ * A ship checklist entry. Entries used to be plain text, as they still are in
+ * backups from before schema v14.
+ * @param {Object|string} entry
+ * @returns {Object} - { text, source }, where source is null for items written by hand, or
+ *   { section, name, quantity } for items generated from the fitting (see buildFittingChecklist)
+ */
+function toChecklistEntry(entry) {
+    return typeof entry === 'string' ? { text: entry, source: null } : entry;
+}
+
+function addShip(ship) {
+    return shipRepository.add(ship);
+}
+
+/**
+ * Add several ships in one transaction, so an import either adds them all or none
+ * @param {Object[]} ships - New ships, without ids
+ * @returns {Promise<number[]>} - Their new ids
+ */
+function addShips(ships) {
+    return shipRepository.bulkPut(ships);
+}
+
+function getShip(shipId) {
+    return shipRepository.get(shipId);
+}
+
+function getShips() {
+    return shipRepository.getAll();
+}
+
+function updateShip(shipId, updateData) {
+    return shipRepository.update(shipId, updateData);
+}
+
+function deleteShip(shipId) {
+    return shipRepository.delete(shipId);
+}
+
+/**
+ * Snapshot of a ship's fitting and its value, as kept in ship.revisions
+ * @param {Object} ship - Ship record
+ * @param {Object} [options] - { revisedAt, restoredFrom (index of the revision it restores) }
+ * @returns {Object} - { fitting, type, value, valueEstimated, priceStrategy, pricedAt, revisedAt, restoredFrom }
+ */
+function createShipRevision(ship, { revisedAt = new Date().toISOString(), restoredFrom = null } = {}) {
+    return {
+        fitting: ship.fitting,
+        type: ship.type,
+        value: ship.value,
+        valueEstimated: !!ship.valueEstimated,
+        priceStrategy: ship.priceStrategy || null,
+        pricedAt: ship.pricedAt || null,
+        revisedAt,
+        restoredFrom
+    };
+}
+
+// Value points kept per ship; the oldest are dropped first
+const SHIP_VALUE_HISTORY_LIMIT = 100;
+
+/**
+ * Add a ship's current value to its value history. Unpriced (zero) values are
+ * left out, as they say nothing about what the ship is worth.
+ * @param {Object[]} valueHistory - The ship's value points, oldest first
+ * @param {Object} ship - Ship record (or value data) with value, valueEstimated, priceStrategy and pricedAt
+ * @returns {Object[]} - New history of { value, valueEstimated, priceStrategy, pricedAt }
+ */
+function appendShipValuePoint(valueHistory, ship) {
+    if (!(ship.value > 0)) {
+        return valueHistory;
+    }
+    const point = {
+        value: ship.value,
+        valueEstimated: !!ship.valueEstimated,
+        priceStrategy: ship.priceStrategy || null,
+        pricedAt: ship.pricedAt || new Date().toISOString()
+    };
+    return [...valueHistory, point].slice(-SHIP_VALUE_HISTORY_LIMIT);
+}
+
+/**
+ * Store a fresh valuation of a ship's current fitting, in one transaction
+ * @param {number} shipId - ID of the ship that was re-priced
+ * @param {Object} valueData - { value, valueEstimated, priceStrategy, pricedAt, valuationItems }
+ * @returns {Promise<Object>} - The updated ship
+ */
+function updateShipValue(shipId, { value, valueEstimated, priceStrategy, pricedAt, valuationItems = [] }) {
+    return runTransaction(['ships'], 'readwrite', ({ ships: store }, fail) => {
+        let updated = null;
+        const request = store.get(shipId);
+        request.onsuccess = () => {
+            const ship = request.result;
             if (!ship) {
-                reject(new Error('Ship not found'));
+                fail(new Error('Ship not found'));
                 return;
             }
-            
-            // Update the ship with new data
-            const updatedShip = { ...ship, ...updateData };
-            
-            // Save the updated ship
-            const putRequest = store.put(updatedShip);
-            putRequest.onsuccess = () => resolve(updatedShip);
-            putRequest.onerror = (event) => reject(event.target.error);
+            try {
+                updated = { ...ship, value, valueEstimated, priceStrategy, pricedAt, valuationItems };
+                updated.valueHistory = appendShipValuePoint(ship.valueHistory || [], updated);
+                shipRepository.validate(updated);
+                store.put(updated);
+            } catch (error) {
+                fail(error);
+            }
         };
-        
-        getRequest.onerror = (event) => reject(event.target.error);
+        return () => updated;
     });
 }
 
-function deleteShip(shipId) {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            reject(new Error('Database not initialized'));
-            return;
-        }
-        
-        const transaction = db.transaction(['ships'], 'readwrite');
-        const store = transaction.objectStore('ships');
-        
-        const request = store.delete(shipId);
-        
-        request.onsuccess = () => resolve();
-        request.onerror = (event) => reject(event.target.error);
+/**
+ * Change a ship's fitting, adding it to the ship's revisions and its value to the value history, in one transaction
+ * @param {number} shipId - ID of the ship to refit
+ * @param {Object} updateData - New fitting, type, value, valueEstimated, priceStrategy and
+ *   pricedAt, plus any other fields to change (e.g. name)
+ * @param {Object} [options] - { restoredFrom: index of the revision being restored }
+ * @returns {Promise<Object>} - The updated ship
+ */
+function reviseShipFitting(shipId, updateData, { restoredFrom = null } = {}) {
+    return runTransaction(['ships'], 'readwrite', ({ ships: store }, fail) => {
+        let updated = null;
+        const request = store.get(shipId);
+        request.onsuccess = () => {
+            const ship = request.result;
+            if (!ship) {
+                fail(new Error('Ship not found'));
+                return;
+            }
+            try {
+                // Keep the fitting being replaced if the ship has no history yet
+                const revisions = ship.revisions || (ship.fitting ? [createShipRevision(ship, { revisedAt: ship.pricedAt || undefined })] : []);
+                updated = { ...ship, ...updateData };
+                updated.revisions = [...revisions, createShipRevision(updated, { restoredFrom })];
+                updated.valueHistory = appendShipValuePoint(ship.valueHistory || [], updated);
+                shipRepository.validate(updated);
+                store.put(updated);
+            } catch (error) {
+                fail(error);
+            }
+        };
+        return () => updated;
+    });
+}
+
+/**
+ * Mark a single ship as active and clear the flag on every other ship,
+ * in one transaction so the hangar can never end up with two active ships.
+ * @param {number} shipId - ID of the ship to activate
+ * @returns {Promise<void>}
+ */
+function setActiveShip(shipId) {
+    return runTransaction(['ships'], 'readwrite', ({ ships }, fail) => {
+        let found = false;
+        const request = ships.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                // Roll back the cleared flags rather than leave no ship active
+                if (!found) {
+                    fail(new Error('Ship not found'));
+                }
+                return;
+            }
+            
+            const ship = cursor.value;
+            const isActive = ship.id === shipId;
+            found = found || isActive;
+            if (ship.isActive !== isActive) {
+                cursor.update({ ...ship, isActive });
+            }
+            cursor.continue();
+        };
     });
 }
 
-// Mission CRUD functions
+// --- Missions ---
+const missionRepository = createRepository('missions', {
+    label: 'Mission',
+    defaults: mission => ({
+        name: '',
+        level: 1,
+        enemyFaction: '',
+        damageToDeal: '',
+        damageToResist: '',
+        baseIskReward: 0,
+        bonusIskReward: 0,
+        baseLpReward: 0,
+        corporation: '', // Issuing corporation, for its LP rate
+        notes: '',
+        tags: [],
+        ...mission
+    }),
+    validate: mission => {
+        requireString(mission, 'name', 'Mission');
+        if (!Number.isInteger(mission.level) || mission.level < 1 || mission.level > 5) {
+            throw new Error('Mission level must be a whole number from 1 to 5');
+        }
+        requireNonNegativeNumber(mission, 'baseIskReward', 'Mission');
+        requireNonNegativeNumber(mission, 'bonusIskReward', 'Mission');
+        requireNonNegativeNumber(mission, 'baseLpReward', 'Mission');
+        requireArray(mission, 'tags', 'Mission');
+    }
+});
+
 function addMission(mission) {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            reject(new Error('Database not initialized'));
-            return;
+    return missionRepository.add(mission);
+}
+
+function getMission(missionId) {
+    return missionRepository.get(missionId);
+}
+
+function getMissions() {
+    return missionRepository.getAll();
+}
+
+function updateMission(missionId, updateData) {
+    return missionRepository.update(missionId, updateData);
+}
+
+function deleteMission(missionId) {
+    return missionRepository.delete(missionId);
+}
+
+// --- Mission Runs ---
+const MISSION_RUN_STATUSES = ['Active', 'Paused', 'Completed', 'Aborted'];
+
+const missionRunRepository = createRepository('missionRuns', {
+    label: 'Mission run',
+    defaults: run => ({
+        missionId: null,
+        shipId: null,
+        checklist: [], // [{ item, checked }] as confirmed before undocking
+        startTime: new Date().toISOString(),
+        endTime: null,
+        status: 'Active',
+        pauses: [], // [{ start, end }] - end is null while paused
+        rawBounties: '',
+        rawLoot: '',
+        rawSalvage: '',
+        bountiesValue: 0,
+        lootValue: 0,
+        salvageValue: 0,
+        expenses: [],
+        liveLog: '',
+        ...run
+    }),
+    validate: run => {
+        if (!MISSION_RUN_STATUSES.includes(run.status)) {
+            throw new Error(`Mission run status must be one of ${MISSION_RUN_STATUSES.join(', ')}`);
         }
-        
-        // Check if the object store exists
-        if (!db.objectStoreNames.contains('missions')) {
-            reject(new Error('Missions object store not found'));
-            return;
+        if (isNaN(new Date(run.startTime).getTime())) {
+            throw new Error('Mission run startTime must be a date');
         }
-        
-        const transaction = db.transaction(['missions'], 'readwrite');
-        const store = transaction.objectStore('missions');
-        
-        // Ensure mission has required fields with defaults
-        const missionData = {
-            name: mission.name || '',
-            level: mission.level || 1,
-            enemyFaction: mission.enemyFaction || '',
-            damageToDeal: mission.damageToDeal || '',
-            damageToResist: mission.damageToResist || '',
-            baseIskReward: mission.baseIskReward || 0,
-            bonusIskReward: mission.bonusIskReward || 0,
-            baseLpReward: mission.baseLpReward || 0,
-            notes: mission.notes || '',
-            tags: mission.tags || [],
-            ...mission // Allow override of defaults
+        requireArray(run, 'pauses', 'Mission run');
+        requireArray(run, 'expenses', 'Mission run');
+    }
+});
+
+function addMissionRun(run) {
+    return missionRunRepository.add(run);
+}
+
+function getMissionRun(runId) {
+    return missionRunRepository.get(runId);
+}
+
+function getMissionRuns() {
+    return missionRunRepository.getAll();
+}
+
+function updateMissionRun(runId, updateData) {
+    return missionRunRepository.update(runId, updateData);
+}
+
+function deleteMissionRun(runId) {
+    return missionRunRepository.delete(runId);
+}
+
+// --- Settings ---
+// Settings are a single record; anything not yet saved falls back to these defaults
+const SETTINGS_ID = 'user';
+const DEFAULT_SETTINGS = {
+    iskPerLpRate: 1000,
+    corporationLpRates: {}, // { "Corporation Name": iskPerLp }
+    tradeHub: 'jita', // Key of TRADE_HUBS in api.js
+    fittingPriceSide: 'sell', // 'sell', 'buy' or 'split' (midpoint): what refitting a lost ship costs
+    lootPriceSide: 'buy', // Loot and salvage are usually sold straight into buy orders
+    priceMethod: 'percentile', // 'percentile' (average of best orders) or 'volumeWeighted'
+    pricePercentile: 5, // Share of the best orders (or units, when volume weighted) averaged
+    priceMinVolume: 0, // Orders with fewer units remaining are ignored
+    priceCacheHours: 1, // How long cached market prices are used before refetching
+    priceMaxAgeDays: 7, // Values priced longer ago are flagged stale, and older cached prices aren't used offline; 0 means no limit
+    useStalePricesOffline: true, // Fall back to expired cached prices, marked as estimated
+    priceProviders: ['sde', 'esi', 'fuzzwork', 'local'], // Keys of PRICE_PROVIDERS in providers.js, tried in this order
+    repriceOnStartupAfterDays: 0 // Re-price ships valued longer ago than this when the app opens; 0 turns it off
+};
+
+const settingsRepository = createRepository('settings', {
+    label: 'Settings',
+    defaults: settings => ({ ...DEFAULT_SETTINGS, ...settings, id: SETTINGS_ID }),
+    validate: settings => {
+        requireNonNegativeNumber(settings, 'iskPerLpRate', 'Settings');
+        requireNonNegativeNumber(settings, 'priceMaxAgeDays', 'Settings');
+        if (!(settings.priceCacheHours > 0)) {
+            throw new Error('Settings priceCacheHours must be more than 0');
+        }
+        requireNonNegativeNumber(settings, 'repriceOnStartupAfterDays', 'Settings');
+        requireNonNegativeNumber(settings, 'priceMinVolume', 'Settings');
+        if (!(settings.pricePercentile > 0 && settings.pricePercentile <= 100)) {
+            throw new Error('Settings pricePercentile must be more than 0 and at most 100');
+        }
+        ['fittingPriceSide', 'lootPriceSide'].forEach(field => {
+            if (!['buy', 'sell', 'split'].includes(settings[field])) {
+                throw new Error(`Settings ${field} must be buy, sell or split`);
+            }
+        });
+        requireArray(settings, 'priceProviders', 'Settings');
+        if (new Set(settings.priceProviders).size !== settings.priceProviders.length) {
+            throw new Error('Settings priceProviders must not list a provider twice');
+        }
+    }
+});
+
+async function getSettings() {
+    const { id, ...saved } = (await settingsRepository.get(SETTINGS_ID)) || {};
+    return { ...DEFAULT_SETTINGS, ...saved };
+}
+
+function saveSettings(updateData) {
+    // Merge with what is already saved so partial updates don't reset other settings
+    return runTransaction(['settings'], 'readwrite', ({ settings: store }, fail) => {
+        let saved = null;
+        const request = store.get(SETTINGS_ID);
+        request.onsuccess = () => {
+            const updatedSettings = { ...DEFAULT_SETTINGS, ...request.result, ...updateData, id: SETTINGS_ID };
+            try {
+                settingsRepository.validate(updatedSettings);
+                store.put(updatedSettings);
+                const { id, ...settings } = updatedSettings;
+                saved = settings;
+            } catch (error) {
+                fail(error);
+            }
         };
-        
-        const request = store.add(missionData);
+        return () => saved;
+    });
+}
 
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-        
-        transaction.onerror = (event) => reject(event.target.error);
+// --- Price Cache ---
+// Market prices keyed by getPriceCacheKey() as { key, typeId, price, source, fetchedAt },
+// and type IDs keyed by normalised item name as { name, typeId, source, fetchedAt }
+const priceCacheRepository = createRepository('prices', { label: 'Cached price' });
+const typeIdCacheRepository = createRepository('typeIds', { label: 'Cached type ID' });
+
+/**
+ * Prices are cached per pricing strategy, so changing the strategy never reuses
+ * a price worked out a different way
+ * @param {string} strategyKey - From getPriceStrategyKey() in api.js
+ * @param {number} typeId
+ * @returns {string} - e.g. "jita:sell:percentile:5:0:587"
+ */
+function getPriceCacheKey(strategyKey, typeId) {
+    return `${strategyKey}:${typeId}`;
+}
+
+/**
+ * Look up many cache entries in one transaction
+ * @param {string} storeName - 'prices', 'typeIds' or 'localPrices'
+ * @param {Array} keys - Keys to look up
+ * @returns {Promise<Map>} - Key => entry, for the keys that are cached
+ */
+function getCacheEntries(storeName, keys) {
+    return runTransaction([storeName], 'readonly', stores => {
+        const entries = new Map();
+        keys.forEach(key => {
+            const request = stores[storeName].get(key);
+            request.onsuccess = () => {
+                if (request.result) {
+                    entries.set(key, request.result);
+                }
+            };
+        });
+        return entries;
     });
 }
 
-function getMissions() {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            reject(new Error('Database not initialized'));
-            return;
+function getCachedPrices(keys) {
+    return getCacheEntries('prices', keys);
+}
+
+function saveCachedPrices(entries) {
+    return priceCacheRepository.bulkPut(entries);
+}
+
+function getCachedTypeIds(names) {
+    return getCacheEntries('typeIds', names);
+}
+
+function saveCachedTypeIds(entries) {
+    return typeIdCacheRepository.bulkPut(entries);
+}
+
+function countCachedPrices() {
+    return priceCacheRepository.count();
+}
+
+function clearPriceCache() {
+    return runTransaction(['prices', 'typeIds'], 'readwrite', stores => {
+        stores.prices.clear();
+        stores.typeIds.clear();
+    });
+}
+
+// --- SDE Types ---
+// Item data imported from the SDE, see sde.js for the record shape
+const typeRepository = createRepository('types', {
+    label: 'Type',
+    validate: type => {
+        if (!Number.isInteger(type.typeId)) {
+            throw new Error(`Type "${type.name}" has no valid typeId`);
         }
-        
-        // Check if the object store exists
-        if (!db.objectStoreNames.contains('missions')) {
-            reject(new Error('Missions object store not found'));
-            return;
+        requireString(type, 'name', 'Type');
+        requireArray(type, 'aliases', 'Type');
+    }
+});
+
+function getTypes() {
+    return typeRepository.getAll();
+}
+
+function countTypes() {
+    return typeRepository.count();
+}
+
+/**
+ * Replace all imported types in one transaction, so a failed import keeps the previous data
+ * @param {Object[]} types - Records from buildTypeRecords()
+ * @returns {Promise<void>}
+ */
+function replaceTypes(types) {
+    return replaceAllRecords(typeRepository, types);
+}
+
+/**
+ * Look up types by normalised name alias
+ * @param {string[]} aliases - Keys from getTypeNameAliases()
+ * @returns {Promise<Map<string, Object[]>>} - Alias => matching types, for the aliases found
+ */
+function findTypesByAliases(aliases) {
+    return findRecordsByAliases('types', aliases);
+}
+
+// --- Local Price List ---
+// Prices for the local provider as { typeId, name, aliases, price }, see parsePriceList() in providers.js
+const localPriceRepository = createRepository('localPrices', {
+    label: 'Local price',
+    validate: entry => {
+        if (!Number.isInteger(entry.typeId)) {
+            throw new Error(`Local price "${entry.name}" has no valid typeId`);
         }
-        
-        const transaction = db.transaction(['missions'], 'readonly');
-        const store = transaction.objectStore('missions');
-        const request = store.getAll();
+        requireNonNegativeNumber(entry, 'price', 'Local price');
+        requireArray(entry, 'aliases', 'Local price');
+    }
+});
 
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-        
-        transaction.onerror = (event) => reject(event.target.error);
+function getLocalPrices(typeIds) {
+    return getCacheEntries('localPrices', typeIds);
+}
+
+function countLocalPrices() {
+    return localPriceRepository.count();
+}
+
+function replaceLocalPrices(entries) {
+    return replaceAllRecords(localPriceRepository, entries);
+}
+
+function findLocalPricesByAliases(aliases) {
+    return findRecordsByAliases('localPrices', aliases);
+}
+
+// --- Price Overrides ---
+// Prices set by hand for items the market prices badly or not at all:
+// { key, typeId, name, price, note, expiresAt, updatedAt }, keyed by type ID or by
+// normalised name (see getPriceOverrideKey)
+const priceOverrideRepository = createRepository('priceOverrides', {
+    label: 'Price override',
+    defaults: override => ({
+        typeId: null,
+        name: '',
+        note: '',
+        expiresAt: null,
+        updatedAt: new Date().toISOString(),
+        ...override,
+        key: getPriceOverrideKey(override)
+    }),
+    validate: override => {
+        if (!override.key) {
+            throw new Error('Price override needs an item name or type ID');
+        }
+        requireNonNegativeNumber(override, 'price', 'Price override');
+        requireString(override, 'note', 'Price override');
+        if (override.expiresAt !== null && isNaN(new Date(override.expiresAt).getTime())) {
+            throw new Error(`Price override expiresAt must be a date`);
+        }
+    }
+});
+
+/**
+ * @param {Object} override - { typeId } or { name }; a type ID wins if both are given
+ * @returns {string} - "type:<typeId>" or "name:<normalised name>", or '' if it has neither
+ */
+function getPriceOverrideKey({ typeId, name }) {
+    if (Number.isInteger(typeId) && typeId > 0) {
+        return `type:${typeId}`;
+    }
+    const normalized = name ? normalizeTypeName(name) : '';
+    return normalized ? `name:${normalized}` : '';
+}
+
+function getPriceOverrides() {
+    return priceOverrideRepository.getAll();
+}
+
+/**
+ * Add a price override, or replace the one for the same item
+ * @param {Object} override - { typeId or name, price, note, expiresAt }
+ * @returns {Promise<string>} - Its key
+ */
+function savePriceOverride(override) {
+    return priceOverrideRepository.put(override);
+}
+
+function deletePriceOverride(key) {
+    return priceOverrideRepository.delete(key);
+}
+
+/**
+ * Replace every record in a store in one transaction, so a failed import keeps the previous data
+ * @param {Object} repository - From createRepository()
+ * @param {Object[]} records - Complete records, validated before they are written
+ * @returns {Promise<void>}
+ */
+function replaceAllRecords(repository, records) {
+    return runTransaction([repository.storeName], 'readwrite', stores => {
+        const store = stores[repository.storeName];
+        store.clear();
+        records.forEach(record => {
+            repository.validate(record);
+            store.put(record);
+        });
     });
 }
 
-function updateMission(missionId, updateData) {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            reject(new Error('Database not initialized'));
-            return;
+/**
+ * Look up records by normalised name alias, in a store with a multiEntry 'aliases' index
+ * @param {string} storeName - 'types' or 'localPrices'
+ * @param {string[]} aliases - Keys from getTypeNameAliases()
+ * @returns {Promise<Map<string, Object[]>>} - Alias => matching records, for the aliases found
+ */
+function findRecordsByAliases(storeName, aliases) {
+    return runTransaction([storeName], 'readonly', stores => {
+        const matches = new Map();
+        aliases.forEach(alias => {
+            const request = stores[storeName].index('aliases').getAll(alias);
+            request.onsuccess = () => {
+                if (request.result.length > 0) {
+                    matches.set(alias, request.result);
+                }
+            };
+        });
+        return matches;
+    });
+}
+
+// --- Backup & Restore ---
+const BACKUP_FORMAT = 'eve-mission-tracker-backup';
+
+// Imported records get the same defaults and validation as any other write
+const BACKUP_REPOSITORIES = Object.fromEntries(
+    [shipRepository, missionRepository, missionRunRepository, settingsRepository, localPriceRepository, priceOverrideRepository]
+        .map(repository => [repository.storeName, repository])
+);
+
+// Every store holding user data
+function getDataStoreNames() {
+    return Array.from(db.objectStoreNames).filter(storeName => !INTERNAL_STORES.includes(storeName));
+}
+
+/**
+ * Read every data store into one versioned backup object
+ * @returns {Promise<Object>} - { format, schemaVersion, exportedAt, stores: { storeName: records[] } }
+ */
+function exportDatabase() {
+    if (!db) {
+        return Promise.reject(new Error('Database not initialized'));
+    }
+    
+    const storeNames = getDataStoreNames();
+    const backup = {
+        format: BACKUP_FORMAT,
+        schemaVersion: db.version,
+        exportedAt: new Date().toISOString(),
+        stores: {}
+    };
+    
+    // One transaction so the backup is a consistent snapshot
+    return runTransaction(storeNames, 'readonly', stores => {
+        storeNames.forEach(storeName => {
+            const request = stores[storeName].getAll();
+            request.onsuccess = () => {
+                backup.stores[storeName] = request.result;
+            };
+        });
+        return backup;
+    });
+}
+
+/**
+ * Check that a parsed backup file can be imported into this database
+ * @param {Object} backup - Parsed backup JSON
+ * @throws {Error} - Describing the first problem found
+ */
+function validateBackup(backup) {
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+        throw new Error('This file is not an EVE Mission Tracker backup.');
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+        throw new Error('The backup has no valid schema version.');
+    }
+    if (backup.schemaVersion > db.version) {
+        throw new Error(`The backup was made by a newer version of the app (schema ${backup.schemaVersion}, this app uses ${db.version}). Update the app before importing it.`);
+    }
+    if (!backup.stores || typeof backup.stores !== 'object' || Array.isArray(backup.stores)) {
+        throw new Error('The backup has no stores.');
+    }
+    
+    Object.entries(backup.stores).forEach(([storeName, records]) => {
+        if (!getDataStoreNames().includes(storeName)) {
+            throw new Error(`The backup contains an unknown store "${storeName}".`);
+        }
+        if (!Array.isArray(records)) {
+            throw new Error(`Store "${storeName}" in the backup is not a list of records.`);
         }
         
-        const transaction = db.transaction(['missions'], 'readwrite');
-        const store = transaction.objectStore('missions');
-        
-        // First get the existing mission
-        const getRequest = store.get(missionId);
-        
-        getRequest.onsuccess = () => {
-            const mission = getRequest.result;
-            if (!mission) {
-                reject(new Error('Mission not found'));
-                return;
+        const keyPath = db.transaction([storeName], 'readonly').objectStore(storeName).keyPath;
+        records.forEach((record, index) => {
+            if (!record || typeof record !== 'object' || record[keyPath] === undefined || record[keyPath] === null) {
+                throw new Error(`Record ${index + 1} in "${storeName}" has no "${keyPath}".`);
             }
-            
-            // Update the mission with new data
-            const updatedMission = { ...mission, ...updateData };
-            
-            // Save the updated mission
-            const putRequest = store.put(updatedMission);
-            putRequest.onsuccess = () => resolve(updatedMission);
-            putRequest.onerror = (event) => reject(event.target.error);
-        };
+        });
         
-        getRequest.onerror = (event) => reject(event.target.error);
+        const repository = BACKUP_REPOSITORIES[storeName];
+        if (repository) {
+            migrateBackupRecords(backup, storeName).forEach((record, index) => {
+                try {
+                    repository.prepare(record);
+                } catch (error) {
+                    throw new Error(`Record ${index + 1} in "${storeName}" is invalid: ${error.message}.`);
+                }
+            });
+        }
     });
 }
 
-function deleteMission(missionId) {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            reject(new Error('Database not initialized'));
-            return;
-        }
-        
-        const transaction = db.transaction(['missions'], 'readwrite');
-        const store = transaction.objectStore('missions');
-        
-        const request = store.delete(missionId);
-        
-        request.onsuccess = () => resolve();
-        request.onerror = (event) => reject(event.target.error);
+/**
+ * Work out what importing a backup would change, without changing anything
+ * @param {Object} backup - Validated backup
+ * @param {string} mode - 'replace' to clear stores first, 'merge' to upsert by id
+ * @returns {Promise<Object>} - { storeName: { added, updated, deleted } }
+ */
+function planImport(backup, mode) {
+    if (!db) {
+        return Promise.reject(new Error('Database not initialized'));
+    }
+    
+    const storeNames = getDataStoreNames();
+    return runTransaction(storeNames, 'readonly', stores => {
+        const plan = {};
+        storeNames.forEach(storeName => {
+            const store = stores[storeName];
+            const request = store.getAllKeys();
+            request.onsuccess = () => {
+                const existingKeys = new Set(request.result.map(key => JSON.stringify(key)));
+                const records = backup.stores[storeName] || [];
+                const importedKeys = new Set(records.map(record => JSON.stringify(record[store.keyPath])));
+                
+                const updated = [...importedKeys].filter(key => existingKeys.has(key)).length;
+                plan[storeName] = {
+                    added: importedKeys.size - updated,
+                    updated,
+                    // Replacing clears stores that the backup doesn't mention too
+                    deleted: mode === 'replace' ? [...existingKeys].filter(key => !importedKeys.has(key)).length : 0
+                };
+            };
+        });
+        return plan;
+    });
+}
+
+/**
+ * A store's records from a backup, brought up to this schema by the record
+ * transforms of every migration newer than the backup
+ * @param {Object} backup - Validated backup
+ * @param {string} storeName
+ * @returns {Object[]}
+ */
+function migrateBackupRecords(backup, storeName) {
+    const transform = getRecordTransform(backup.schemaVersion, storeName);
+    return (backup.stores[storeName] || []).map(record => transform(record) || record);
+}
+
+/**
+ * Import a backup in a single transaction: if any record fails to write,
+ * the whole import is rolled back and the database is left untouched.
+ * Backups from older schema versions are migrated first.
+ * @param {Object} backup - Validated backup
+ * @param {string} mode - 'replace' to clear stores first, 'merge' to upsert by id
+ * @returns {Promise<void>}
+ */
+function importDatabase(backup, mode) {
+    if (!db) {
+        return Promise.reject(new Error('Database not initialized'));
+    }
+    
+    // An invalid record, or one the store can't hold (e.g. a DataError), throws here and rolls everything back
+    return runTransaction(getDataStoreNames(), 'readwrite', stores => {
+        Object.entries(stores).forEach(([storeName, store]) => {
+            if (mode === 'replace') {
+                store.clear();
+            }
+            const repository = BACKUP_REPOSITORIES[storeName];
+            migrateBackupRecords(backup, storeName).forEach(record => store.put(repository ? repository.prepare(record) : record));
+        });
     });
 }
@@ -0,0 +1,184 @@
+// Fitting export: EFT text, ship DNA and ESI fitting JSON, rebuilt from parsed fittings
+console.log("exporter.js loaded");
+
+const FITTING_EXPORT_FORMATS = {
+    eft: { label: 'EFT' },
+    dna: { label: 'Ship DNA' },
+    esi: { label: 'ESI JSON' }
+};
+
+// Section headings in EFT's "[Empty Low slot]" placeholders
+const EFT_EMPTY_SLOT_NAMES = {
+    low: 'Low',
+    mid: 'Med',
+    high: 'High',
+    rig: 'Rig',
+    subsystem: 'Subsystem'
+};
+
+// ESI inventory flag prefix for each slot section; slots are numbered from 0
+const ESI_SLOT_FLAGS = {
+    low: 'LoSlot',
+    mid: 'MedSlot',
+    high: 'HiSlot',
+    rig: 'RigSlot',
+    subsystem: 'SubSystemSlot'
+};
+
+/**
+ * Export a stored fitting in one of FITTING_EXPORT_FORMATS. DNA and ESI JSON need
+ * type IDs, which are resolved like a valuation's; items that can't be resolved
+ * are left out and listed in `missing`.
+ * @param {string} fittingText - EFT fitting as stored on the ship
+ * @param {string} format - 'eft', 'dna' or 'esi'
+ * @param {Object} [options] - { name, signal, onProgress }; name overrides the fitting name
+ * @returns {Promise<Object>} - { text, missing }
+ * @throws {Error} - If the format is unknown or the fitting has no ship type
+ */
+async function exportFitting(fittingText, format, options = {}) {
+    if (!FITTING_EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+    const fitting = await parseFittingWithTypes(fittingText);
+    if (!fitting.shipType) {
+        throw new Error('The fitting has no [Ship, Fitting name] header.');
+    }
+    const name = options.name || fitting.fittingName || fitting.shipType;
+
+    if (format === 'eft') {
+        return { text: formatEft(fitting, name), missing: [] };
+    }
+
+    const names = [...new Set([fitting.shipType, ...EFT_SECTIONS.flatMap(section => fitting.sections[section].flatMap(entry => (
+        entry.charge ? [entry.name, entry.charge] : [entry.name]
+    )))])];
+    const typeIds = await getTypeIds(names, options);
+    if (!typeIds.has(fitting.shipType)) {
+        throw new Error(`Could not find the type ID of ${fitting.shipType}.`);
+    }
+
+    const missing = names.filter(itemName => !typeIds.has(itemName));
+    const text = format === 'dna'
+        ? formatShipDna(fitting, typeIds)
+        : JSON.stringify(formatEsiFitting(fitting, typeIds, name), null, 2);
+    return { text, missing };
+}
+
+/**
+ * Write a parsed fitting as EFT text: the header and slot sections with their
+ * empty slots, then drones and cargo after the blank lines the game leaves
+ * @param {Object} fitting - Result of parseFitting
+ * @param {string} [name] - Fitting name for the header
+ * @returns {string}
+ */
+function formatEft(fitting, name = fitting.fittingName) {
+    const slotBlocks = EFT_SLOT_SECTIONS.map(section => {
+        const lines = fitting.sections[section].map(entry => (
+            `${entry.name}${entry.charge ? `, ${entry.charge}` : ''}${entry.offline ? ' /OFFLINE' : ''}`
+        ));
+        for (let i = 0; i < fitting.emptySlots[section]; i++) {
+            lines.push(`[Empty ${EFT_EMPTY_SLOT_NAMES[section]} slot]`);
+        }
+        return lines.join('\n');
+    });
+    const [drones, cargo] = ['drone', 'cargo'].map(section => (
+        fitting.sections[section].map(entry => `${entry.name} x${entry.quantity}`).join('\n')
+    ));
+
+    // Slot sections without lines are left out. The blank lines before drones and
+    // cargo are what tell them apart, so cargo leaves room for an empty drone bay.
+    let text = `[${fitting.shipType}, ${name}]\n${slotBlocks.filter(Boolean).join('\n\n')}`.trim();
+    if (drones) {
+        text += `${'\n'.repeat(EFT_DRONE_BAY_GAP + 1)}${drones}`;
+    }
+    if (cargo) {
+        text += `${'\n'.repeat((drones ? EFT_DRONE_BAY_GAP : EFT_CARGO_ONLY_GAP) + 1)}${cargo}`;
+    }
+    return `${text}\n`;
+}
+
+/**
+ * Write a parsed fitting as a ship DNA string:
+ * "ship:subsystems:high:mid:low:rigs:drones:charges:cargo::" where each item is
+ * "typeId;quantity" and cargo items are marked "typeId_;quantity"
+ * @param {Object} fitting - Result of parseFitting
+ * @param {Map<string, number>} typeIds - Item names to type IDs; unknown items are skipped
+ * @returns {string}
+ */
+function formatShipDna(fitting, typeIds) {
+    const counts = new Map();
+    const count = (key, quantity) => counts.set(key, (counts.get(key) || 0) + quantity);
+
+    ['subsystem', 'high', 'mid', 'low', 'rig', 'drone'].forEach(section => {
+        fitting.sections[section].forEach(entry => {
+            if (typeIds.has(entry.name)) {
+                count(`${typeIds.get(entry.name)}`, entry.quantity);
+            }
+        });
+    });
+    // One of each loaded charge per module, as in the flat item map
+    EFT_SLOT_SECTIONS.forEach(section => {
+        fitting.sections[section].forEach(entry => {
+            if (entry.charge && typeIds.has(entry.charge)) {
+                count(`${typeIds.get(entry.charge)}`, 1);
+            }
+        });
+    });
+    fitting.sections.cargo.forEach(entry => {
+        if (typeIds.has(entry.name)) {
+            count(`${typeIds.get(entry.name)}_`, entry.quantity);
+        }
+    });
+
+    const items = Array.from(counts, ([key, quantity]) => `${key};${quantity}`);
+    return `${[typeIds.get(fitting.shipType), ...items].join(':')}::`;
+}
+
+/**
+ * Build the body ESI takes to save a fitting (POST /characters/{id}/fittings/).
+ * ESI fittings can't hold loaded charges, so those go to the cargo hold.
+ * @param {Object} fitting - Result of parseFitting
+ * @param {Map<string, number>} typeIds - Item names to type IDs; unknown items are skipped
+ * @param {string} [name] - Fitting name; ESI allows 50 characters
+ * @returns {Object} - { name, description, ship_type_id, items: [{ type_id, flag, quantity }] }
+ */
+function formatEsiFitting(fitting, typeIds, name = fitting.fittingName) {
+    const items = [];
+    const bays = new Map();
+    const addToBay = (flag, typeId, quantity) => {
+        const key = `${flag}:${typeId}`;
+        if (bays.has(key)) {
+            bays.get(key).quantity += quantity;
+        } else {
+            const item = { type_id: typeId, flag, quantity };
+            bays.set(key, item);
+            items.push(item);
+        }
+    };
+
+    EFT_SLOT_SECTIONS.forEach(section => {
+        // Slots are numbered before skipping unknown modules, so the rest stay where they were fitted
+        fitting.sections[section].forEach((entry, slot) => {
+            if (typeIds.has(entry.name)) {
+                items.push({ type_id: typeIds.get(entry.name), flag: `${ESI_SLOT_FLAGS[section]}${slot}`, quantity: 1 });
+            }
+        });
+    });
+    EFT_SLOT_SECTIONS.forEach(section => {
+        fitting.sections[section]
+            .filter(entry => entry.charge && typeIds.has(entry.charge))
+            .forEach(entry => addToBay('Cargo', typeIds.get(entry.charge), 1));
+    });
+    [['drone', 'DroneBay'], ['cargo', 'Cargo']].forEach(([section, flag]) => {
+        fitting.sections[section]
+            .filter(entry => typeIds.has(entry.name))
+            .forEach(entry => addToBay(flag, typeIds.get(entry.name), entry.quantity));
+    });
+
+    return {
+        name: (name || fitting.shipType).slice(0, 50),
+        description: '',
+        ship_type_id: typeIds.get(fitting.shipType),
+        items
+    };
+}
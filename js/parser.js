@@ -1,55 +1,466 @@
 // Parsing logic for in-game data
 console.log("parser.js loaded");
 
+// EFT sections in the order the game lists them; the slot sections come first
+const EFT_SLOT_SECTIONS = ['low', 'mid', 'high', 'rig', 'subsystem'];
+const EFT_SECTIONS = [...EFT_SLOT_SECTIONS, 'drone', 'cargo'];
+
+// Slot named by an "[Empty Med slot]" style placeholder line
+const EFT_EMPTY_SLOT_SECTIONS = {
+    low: 'low',
+    med: 'mid',
+    mid: 'mid',
+    high: 'high',
+    rig: 'rig',
+    subsystem: 'subsystem'
+};
+
+// "[Rifter, My Rifter]"; the fitting name is optional
+const EFT_HEADER_PATTERN = /^\[([^,\]]+)(?:,([^\]]*))?\]$/;
+
+// A header that starts a fitting; unlike "[Empty Low slot]" lines it has a comma
+const EFT_FITTING_START_PATTERN = /^\[[^\]]+,[^\]]*\]$/;
+
+// "Item Name x10"
+const EXPLICIT_QUANTITY_PATTERN = /^(.+?)\s+x(\d+)$/;
+
+// The game leaves two blank lines before the drone bay and two more before cargo,
+// keeping them around an empty drone bay, so cargo without drones follows four
+const EFT_DRONE_BAY_GAP = 2;
+const EFT_CARGO_ONLY_GAP = 4;
+
+// SDE categories of what goes in the drone bay
+const DRONE_BAY_CATEGORIES = ['Drone', 'Fighter'];
+
+// Slots in the fitting manager's XML export ("med slot 2", "drone bay") by EFT section
+const XML_FITTING_SLOTS = {
+    'low slot': 'low',
+    'med slot': 'mid',
+    'hi slot': 'high',
+    'rig slot': 'rig',
+    'subsystem slot': 'subsystem',
+    'drone bay': 'drone',
+    'fighter bay': 'drone',
+    'cargo': 'cargo'
+};
+
 /**
- * Parse raw fitting text into ship type and item quantities
+ * Parse an EFT fitting, as copied from the in-game fitting window or Pyfa.
+ * Blank lines separate the sections, listed as low, mid, high, rig and subsystem
+ * slots, then drones and cargo, whose lines have "xN" quantities. An
+ * "[Empty Low slot]" style line pins its section when earlier ones are missing.
+ * Drones are told apart from cargo by the SDE category of their items when
+ * known, otherwise by the blank lines before them (see EFT_DRONE_BAY_GAP).
  * @param {string} fittingText - Raw fitting text from the game
- * @returns {Object} - { shipType: string, items: Map<string, number> }
+ * @param {Object} [options] - { itemCategories }: Map of item name => SDE category name
+ * @returns {Object} - { shipType, fittingName, sections, emptySlots, items, diagnostics } where
+ *   sections maps each of EFT_SECTIONS to [{ name, quantity, charge, offline, lineNumber }],
+ *   emptySlots counts the empty slots in each slot section, and items is the flat
+ *   Map<string, number> to value: the hull, modules, one of each loaded charge
+ *   (EFT doesn't say how many are loaded), drones and cargo
  */
-function parseFitting(fittingText) {
+function parseFitting(fittingText, options = {}) {
+    const result = {
+        shipType: '',
+        fittingName: '',
+        sections: Object.fromEntries(EFT_SECTIONS.map(section => [section, []])),
+        emptySlots: Object.fromEntries(EFT_SLOT_SECTIONS.map(section => [section, 0])),
+        items: new Map(),
+        diagnostics: []
+    };
+
     if (!fittingText || typeof fittingText !== 'string') {
-        return { shipType: '', items: new Map() };
+        return result;
     }
 
-    const lines = fittingText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    
-    if (lines.length === 0) {
-        return { shipType: '', items: new Map() };
+    const blocks = splitEftBlocks(fittingText);
+    if (blocks.length === 0) {
+        return result;
     }
 
-    // Extract ship type from the first line: [ShipType, FittingName]
-    const shipType = extractShipType(lines[0]);
-    
-    // Parse items from remaining lines
-    const items = new Map();
-    
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i];
-        const { itemName, quantity } = parseItemLine(line);
-        
-        if (itemName) {
-            // If item already exists, add to quantity
-            const currentQuantity = items.get(itemName) || 0;
-            items.set(itemName, currentQuantity + quantity);
-        }
+    // Extract ship type and fitting name from the first line: [ShipType, FittingName]
+    const header = blocks[0].lines[0];
+    const headerMatch = parseEmptySlotLine(header.line) ? null : header.line.match(EFT_HEADER_PATTERN);
+    if (headerMatch) {
+        result.shipType = headerMatch[1].trim();
+        result.fittingName = (headerMatch[2] || '').trim();
+        blocks[0].lines.shift();
+    } else {
+        result.diagnostics.push({ lineNumber: header.lineNumber, line: header.line, message: 'Missing [Ship, Fitting name] header' });
     }
-    
+
+    // Only the first fitting is read if several were pasted together
+    const nextHeader = blocks.flatMap(block => block.lines).find(({ line }) => EFT_FITTING_START_PATTERN.test(line));
+    if (nextHeader) {
+        result.diagnostics.push({ lineNumber: nextHeader.lineNumber, line: nextHeader.line, message: 'Another fitting starts here; only the first fitting is read' });
+    }
+    const fittingBlocks = blocks
+        .map(block => ({ ...block, lines: block.lines.filter(({ lineNumber }) => !nextHeader || lineNumber < nextHeader.lineNumber) }))
+        .filter(block => block.lines.length > 0);
+
+    const sectionBlocks = assignEftSections(fittingBlocks, options.itemCategories);
+    sectionBlocks.forEach(({ section, lines }) => {
+        lines.forEach(({ lineNumber, line }) => {
+            const emptySlot = parseEmptySlotLine(line);
+            if (emptySlot) {
+                result.emptySlots[emptySlot]++;
+                return;
+            }
+            if (line.startsWith('[')) {
+                result.diagnostics.push({ lineNumber, line, message: 'Unrecognised line' });
+                return;
+            }
+
+            const entry = EFT_SLOT_SECTIONS.includes(section) ? parseModuleLine(line) : parseItemLine(line);
+            if (!entry.itemName || !(entry.quantity > 0)) {
+                result.diagnostics.push({ lineNumber, line, message: 'Could not read item name and quantity' });
+                return;
+            }
+
+            result.sections[section].push({
+                name: entry.itemName,
+                quantity: entry.quantity,
+                charge: entry.charge || null,
+                offline: !!entry.offline,
+                lineNumber
+            });
+            addFittingItem(result.items, entry.itemName, entry.quantity);
+            if (entry.charge) {
+                addFittingItem(result.items, entry.charge, 1);
+            }
+        });
+    });
+
     // Add the ship hull itself with quantity 1
-    if (shipType) {
-        items.set(shipType, 1);
+    if (result.shipType) {
+        addFittingItem(result.items, result.shipType, 1);
     }
-    
-    return { shipType, items };
+
+    return result;
+}
+
+/**
+ * Split fitting text into blocks of lines separated by blank lines
+ * @param {string} text - Raw fitting text
+ * @returns {Object[]} - Blocks { blankLinesBefore, lines }, where lines are
+ *   { lineNumber, line } trimmed and blankLinesBefore counts the blank lines
+ *   between the block and the one before it
+ */
+function splitEftBlocks(text) {
+    const blocks = [];
+    let block = null;
+    let blankLines = 0;
+    text.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) {
+            blankLines++;
+            block = null;
+            return;
+        }
+        if (!block) {
+            block = { blankLinesBefore: blocks.length > 0 ? blankLines : 0, lines: [] };
+            blocks.push(block);
+            blankLines = 0;
+        }
+        block.lines.push({ lineNumber: index + 1, line });
+    });
+    return blocks;
+}
+
+/**
+ * Work out which section each block is. Blocks of mostly "xN" lines are drones
+ * and cargo; the others take the slot sections in order, or the section of an
+ * empty slot placeholder they contain.
+ * @param {Object[]} blocks - Non-empty blocks after the header, from splitEftBlocks
+ * @param {Map<string, string>} [itemCategories] - Item name => SDE category name
+ * @returns {Object[]} - [{ section, lines }]
+ */
+function assignEftSections(blocks, itemCategories = new Map()) {
+    const isItemBlock = lines => lines.filter(({ line }) => EXPLICIT_QUANTITY_PATTERN.test(line)).length * 2 > lines.length;
+    let nextSlotIndex = 0;
+    let itemSection = null;
+
+    return blocks.map(({ blankLinesBefore, lines }, index) => {
+        // Only the first drone or cargo block can be the drone bay; everything after is cargo
+        if (itemSection) {
+            itemSection = 'cargo';
+            return { section: itemSection, lines };
+        }
+        if (isItemBlock(lines)) {
+            const moreItemBlocks = blocks.slice(index + 1).some(block => isItemBlock(block.lines));
+            itemSection = getItemBlockSection(lines, blankLinesBefore, moreItemBlocks, itemCategories);
+            return { section: itemSection, lines };
+        }
+
+        const placeholder = lines.map(({ line }) => parseEmptySlotLine(line)).find(Boolean);
+        if (placeholder) {
+            nextSlotIndex = EFT_SLOT_SECTIONS.indexOf(placeholder) + 1;
+            return { section: placeholder, lines };
+        }
+        // More plain blocks than slot sections: the rest can only be cargo
+        if (nextSlotIndex >= EFT_SLOT_SECTIONS.length) {
+            return { section: 'cargo', lines };
+        }
+        return { section: EFT_SLOT_SECTIONS[nextSlotIndex++], lines };
+    });
+}
+
+/**
+ * Tell whether the first block of "xN" lines is the drone bay or cargo: by the SDE
+ * category of its items if any are known, then by the blank lines before it. Text
+ * with single blank lines throughout (typed by hand) has the drone bay only when
+ * cargo follows it.
+ * @returns {string} - 'drone' or 'cargo'
+ */
+function getItemBlockSection(lines, blankLinesBefore, moreItemBlocks, itemCategories) {
+    const categories = lines
+        .map(({ line }) => itemCategories.get(parseItemLine(line).itemName))
+        .filter(Boolean);
+    if (categories.length > 0) {
+        return categories.every(category => DRONE_BAY_CATEGORIES.includes(category)) ? 'drone' : 'cargo';
+    }
+    if (blankLinesBefore >= EFT_CARGO_ONLY_GAP) {
+        return 'cargo';
+    }
+    if (blankLinesBefore >= EFT_DRONE_BAY_GAP) {
+        return 'drone';
+    }
+    return moreItemBlocks ? 'drone' : 'cargo';
+}
+
+/**
+ * @param {string} line - Trimmed line
+ * @returns {string|null} - The slot section of an "[Empty Med slot]" style line, or null
+ */
+function parseEmptySlotLine(line) {
+    const match = line.match(/^\[Empty (\w+) slot\]$/i);
+    return match ? EFT_EMPTY_SLOT_SECTIONS[match[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Parse a fitted module line such as "Heavy Missile Launcher II, Scourge Heavy Missile /OFFLINE"
+ * @param {string} line - Trimmed module line
+ * @returns {Object} - { itemName, quantity, charge, offline }
+ */
+function parseModuleLine(line) {
+    const offlineMatch = line.match(/^(.*?)\s*\/offline$/i);
+    const moduleText = offlineMatch ? offlineMatch[1] : line;
+    const commaIndex = moduleText.indexOf(',');
+    const { itemName, quantity } = parseItemLine(commaIndex === -1 ? moduleText : moduleText.slice(0, commaIndex));
+    const charge = commaIndex === -1 ? '' : moduleText.slice(commaIndex + 1).trim();
+
+    return { itemName, quantity, charge, offline: !!offlineMatch };
+}
+
+function addFittingItem(items, itemName, quantity) {
+    items.set(itemName, (items.get(itemName) || 0) + quantity);
+}
+
+/**
+ * Compare two EFT fittings item by item: hull, modules, charges, drones and cargo
+ * @param {string} fromText - Earlier fitting
+ * @param {string} toText - Later fitting
+ * @returns {Object} - { added, removed, changed }, where added and removed are
+ *   [{ name, quantity }] and changed is [{ name, from, to }], each sorted by name
+ */
+function diffFittings(fromText, toText) {
+    const fromItems = parseFitting(fromText).items;
+    const toItems = parseFitting(toText).items;
+    const diff = { added: [], removed: [], changed: [] };
+
+    const names = [...new Set([...fromItems.keys(), ...toItems.keys()])].sort((a, b) => a.localeCompare(b));
+    names.forEach(name => {
+        const from = fromItems.get(name) || 0;
+        const to = toItems.get(name) || 0;
+        if (from === 0) {
+            diff.added.push({ name, quantity: to });
+        } else if (to === 0) {
+            diff.removed.push({ name, quantity: from });
+        } else if (from !== to) {
+            diff.changed.push({ name, from, to });
+        }
+    });
+
+    return diff;
+}
+
+/**
+ * Checklist items for what a fitting carries besides its modules: each drone and
+ * cargo stack, and each charge with the number of modules it is loaded in
+ * @param {Object} fitting - Result of parseFitting
+ * @returns {Object[]} - Checklist entries { text, source: { section, name, quantity } },
+ *   where section is 'drone', 'cargo' or 'charge'
+ */
+function buildFittingChecklist(fitting) {
+    return Array.from(countChecklistQuantities(fitting).values(), toChecklistSourceEntry);
+}
+
+/**
+ * Check generated checklist items against a fitting, e.g. after the fitting changed.
+ * Items written by hand (without a source) aren't checked.
+ * @param {Object[]} checklist - Checklist entries { text, source }
+ * @param {Object} fitting - Result of parseFitting
+ * @returns {Array<string|null>} - For each entry, why it no longer matches, or null
+ */
+function checkChecklistAgainstFitting(checklist, fitting) {
+    const quantities = countChecklistQuantities(fitting);
+    return checklist.map(({ source }) => {
+        if (!source) {
+            return null;
+        }
+        const match = findChecklistSource(quantities, source);
+        if (!match) {
+            return 'No longer in the fitting';
+        }
+        return match.section === source.section && match.quantity === source.quantity
+            ? null
+            : `Fitting now has ${describeChecklistSource(match)}`;
+    });
+}
+
+/**
+ * Find what a fitting has now of a generated checklist item. Whether a stack is
+ * in the drone bay or cargo can be read differently over time (see
+ * assignEftSections), so the same name in the other bay still matches.
+ * @param {Map<string, Object>} quantities - From countChecklistQuantities
+ * @param {Object} source - The checklist entry's { section, name, quantity }
+ * @returns {Object|null} - The fitting's { section, name, quantity }, or null if it has none
+ */
+function findChecklistSource(quantities, source) {
+    const sections = ['drone', 'cargo'].includes(source.section) ? [source.section, 'drone', 'cargo'] : [source.section];
+    return sections.map(section => quantities.get(`${section}:${source.name}`)).find(Boolean) || null;
+}
+
+// Loaded charges, then drone and cargo stacks, as "section:name" => { section, name, quantity }
+function countChecklistQuantities(fitting) {
+    const quantities = new Map();
+    const count = (section, name, quantity) => {
+        const key = `${section}:${name}`;
+        const entry = quantities.get(key) || { section, name, quantity: 0 };
+        entry.quantity += quantity;
+        quantities.set(key, entry);
+    };
+
+    EFT_SLOT_SECTIONS.forEach(section => {
+        fitting.sections[section].filter(entry => entry.charge).forEach(entry => count('charge', entry.charge, 1));
+    });
+    fitting.sections.drone.forEach(entry => count('drone', entry.name, entry.quantity));
+    fitting.sections.cargo.forEach(entry => count('cargo', entry.name, entry.quantity));
+    return quantities;
+}
+
+function toChecklistSourceEntry(source) {
+    return { text: describeChecklistSource(source), source };
+}
+
+function describeChecklistSource({ section, name, quantity }) {
+    if (section === 'charge') {
+        return `${name} loaded in ${quantity} module${quantity === 1 ? '' : 's'}`;
+    }
+    return `${name} x${quantity} in ${section === 'drone' ? 'drone bay' : 'cargo'}`;
+}
+
+/**
+ * Split a file of fittings into one EFT text per fitting. Takes the XML the in-game
+ * fitting manager exports, or text with several EFT fittings one after another.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell XML from EFT text
+ * @returns {string[]} - EFT text of each fitting, to store as a ship's fitting
+ * @throws {Error} - If the XML can't be read or holds no fittings
+ */
+function splitFittingsFile(text, fileName = '') {
+    const isXml = /\.xml$/i.test(fileName) || /^\s*<(\?xml|fittings)/i.test(text);
+    return isXml ? parseXmlFittings(text) : splitEftFittings(text);
+}
+
+/**
+ * @param {string} text - EFT fittings one after another
+ * @returns {string[]} - EFT text of each; text before the first header is kept as its own entry
+ */
+function splitEftFittings(text) {
+    const fittings = [];
+    text.split('\n').forEach(line => {
+        if (fittings.length === 0 || EFT_FITTING_START_PATTERN.test(line.trim())) {
+            fittings.push([]);
+        }
+        fittings[fittings.length - 1].push(line);
+    });
+    return fittings.map(lines => lines.join('\n').trim()).filter(Boolean);
+}
+
+/**
+ * Convert the fitting manager's XML export to EFT text: each <fitting name> has a
+ * <shipType value> and <hardware slot type qty> items. The XML has no charges,
+ * offline state or empty slots.
+ * @param {string} text - XML file contents
+ * @returns {string[]} - EFT text of each fitting
+ * @throws {Error} - If the XML can't be read or holds no fittings
+ */
+function parseXmlFittings(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not valid XML.');
+    }
+    const fittingElements = Array.from(doc.getElementsByTagName('fitting'));
+    if (fittingElements.length === 0) {
+        throw new Error('The file has no <fitting> elements.');
+    }
+
+    return fittingElements.map(element => {
+        const shipTypeElement = element.getElementsByTagName('shipType')[0];
+        const fitting = buildXmlFitting(
+            shipTypeElement ? shipTypeElement.getAttribute('value') || '' : '',
+            element.getAttribute('name') || '',
+            Array.from(element.getElementsByTagName('hardware'), item => ({
+                slot: item.getAttribute('slot') || '',
+                type: item.getAttribute('type') || '',
+                qty: item.getAttribute('qty')
+            }))
+        );
+        return formatEft(fitting, fitting.fittingName || fitting.shipType);
+    });
 }
 
 /**
- * Extract ship type from fitting header line
- * @param {string} headerLine - First line of fitting like "[Cormorant, thewife]"
- * @returns {string} - Ship type name
+ * Sort an XML fitting's hardware straight into EFT sections by slot
+ * @param {string} shipType - <shipType value>
+ * @param {string} fittingName - <fitting name>
+ * @param {Object[]} hardware - [{ slot, type, qty }] attributes of each <hardware>
+ * @returns {Object} - { shipType, fittingName, sections, emptySlots } as from parseFitting
  */
-function extractShipType(headerLine) {
-    const match = headerLine.match(/^\[([^,]+),/);
-    return match ? match[1].trim() : '';
+function buildXmlFitting(shipType, fittingName, hardware) {
+    const fitting = {
+        shipType: shipType.trim(),
+        fittingName: fittingName.trim(),
+        sections: Object.fromEntries(EFT_SECTIONS.map(section => [section, []])),
+        emptySlots: Object.fromEntries(EFT_SLOT_SECTIONS.map(section => [section, 0]))
+    };
+
+    const items = hardware.map(({ slot, type, qty }) => {
+        const slotMatch = slot.trim().toLowerCase().match(/^(.*?)\s*(\d*)$/);
+        return {
+            // Anything in a slot we don't know, such as a structure service slot, is kept as cargo
+            section: XML_FITTING_SLOTS[slotMatch[1]] || 'cargo',
+            slot: parseInt(slotMatch[2]) || 0,
+            name: type.trim(),
+            quantity: parseInt(qty) || 1
+        };
+    }).filter(item => item.name);
+
+    items.sort((a, b) => a.slot - b.slot).forEach(({ section, name, quantity }) => {
+        fitting.sections[section].push({ name, quantity, charge: null, offline: false });
+    });
+
+    // EFT sections are told apart by order, so a slot section left empty before a
+    // fitted one gets a placeholder to keep the later modules in their own section
+    EFT_SLOT_SECTIONS.forEach((section, index) => {
+        const laterFitted = EFT_SLOT_SECTIONS.slice(index + 1).some(later => fitting.sections[later].length > 0);
+        if (fitting.sections[section].length === 0 && laterFitted) {
+            fitting.emptySlots[section] = 1;
+        }
+    });
+
+    return fitting;
 }
 
 /**
@@ -59,7 +470,7 @@ function extractShipType(headerLine) {
  */
 function parseItemLine(line) {
     // Handle explicit quantity format like "Mobile Tractor Unit x1"
-    const explicitQuantityMatch = line.match(/^(.+?)\s+x(\d+)$/);
+    const explicitQuantityMatch = line.match(EXPLICIT_QUANTITY_PATTERN);
     if (explicitQuantityMatch) {
         return {
             itemName: explicitQuantityMatch[1].trim(),
@@ -72,4 +483,234 @@ function parseItemLine(line) {
         itemName: line.trim(),
         quantity: 1
     };
-}
\ No newline at end of file
+}
+
+// Wallet journal entry types we care about, keyed by their lowercased in-game name
+const BOUNTY_JOURNAL_TYPES = {
+    'bounty prizes': 'bounties',
+    'bounty prize': 'bounties',
+    'agent mission reward': 'missionReward',
+    'agent mission time bonus reward': 'timeBonus'
+};
+
+/**
+ * Parse a pasted wallet journal into bounty and mission reward entries
+ * @param {string} journalText - Tab-separated rows copied from the in-game wallet journal
+ * @param {Object} [options] - Optional time window for the run
+ * @param {Date|string} [options.from] - Ignore entries before this time
+ * @param {Date|string} [options.to] - Ignore entries after this time
+ * @param {number} [options.graceMinutes=0] - Extra minutes allowed after `to` (bounty ticks pay out late)
+ * @returns {Object} - { entries, totals, outsideWindow, diagnostics }
+ */
+function parseBounties(journalText, options = {}) {
+    const result = {
+        entries: [],
+        totals: { bounties: 0, missionReward: 0, timeBonus: 0, total: 0 },
+        outsideWindow: [],
+        diagnostics: []
+    };
+
+    if (!journalText || typeof journalText !== 'string') {
+        return result;
+    }
+
+    const from = options.from ? new Date(options.from).getTime() : -Infinity;
+    const to = options.to
+        ? new Date(options.to).getTime() + (options.graceMinutes || 0) * 60000
+        : Infinity;
+
+    journalText.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+
+        const lineNumber = index + 1;
+        const columns = line.split('\t').map(column => column.trim());
+        const date = parseEveDate(columns[0]);
+
+        if (!date) {
+            // The column header row is expected when the whole journal is copied
+            if (columns[0].toLowerCase() !== 'date') {
+                result.diagnostics.push({ lineNumber, line, message: 'Unrecognised line (no journal date)' });
+            }
+            return;
+        }
+
+        if (columns.length < 3) {
+            result.diagnostics.push({ lineNumber, line, message: 'Journal row has too few columns' });
+            return;
+        }
+
+        const type = columns[1];
+        const category = BOUNTY_JOURNAL_TYPES[type.toLowerCase()];
+        if (!category) {
+            result.diagnostics.push({ lineNumber, line, message: `Ignored journal entry type "${type}"` });
+            return;
+        }
+
+        const amount = parseIskAmount(columns[2]);
+        if (isNaN(amount)) {
+            result.diagnostics.push({ lineNumber, line, message: `Could not read amount "${columns[2]}"` });
+            return;
+        }
+
+        const balance = columns.length > 3 ? parseIskAmount(columns[3]) : NaN;
+        const entry = {
+            date: date.time.toISOString(),
+            type,
+            category,
+            amount,
+            balance: isNaN(balance) ? null : balance,
+            description: columns.slice(4).join(' '),
+            lineNumber
+        };
+
+        // Rows copied without seconds could have happened any time within that minute
+        const latestTime = date.time.getTime() + (date.hasSeconds ? 0 : 59999);
+        if (latestTime < from || date.time.getTime() > to) {
+            result.outsideWindow.push(entry);
+            return;
+        }
+
+        result.entries.push(entry);
+        result.totals[category] += amount;
+        result.totals.total += amount;
+    });
+
+    return result;
+}
+
+/**
+ * Parse an EVE timestamp such as "2025.07.14 19:02" or "2025.07.14 19:02:11" (EVE time is UTC)
+ * @param {string} text - Date column from a journal row
+ * @returns {Object|null} - { time: Date, hasSeconds: boolean } or null if not a date
+ */
+function parseEveDate(text) {
+    const match = (text || '').match(/^(\d{4})[.\-/](\d{2})[.\-/](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds] = match;
+    const time = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds || 0));
+    return isNaN(time.getTime()) ? null : { time, hasSeconds: seconds !== undefined };
+}
+
+/**
+ * Parse an ISK amount such as "1,234,567.89 ISK" or "-5 000,00 ISK"
+ * @param {string} text - Amount text from the game
+ * @returns {number} - Parsed amount, or NaN if it isn't a number
+ */
+function parseIskAmount(text) {
+    return parseLocaleNumber((text || '').replace(/\s*ISK\s*$/i, ''));
+}
+
+/**
+ * Parse a number that may use thousands separators in either the English or
+ * European style ("1,234.5", "1.234,5", "1 234")
+ * @param {string} text - Number text
+ * @returns {number} - Parsed number, or NaN if it isn't a number
+ */
+function parseLocaleNumber(text) {
+    let cleaned = (text || '').replace(/[\s\u00a0\u202f']/g, '');
+    if (!/^[+-]?[\d.,]+$/.test(cleaned)) {
+        return NaN;
+    }
+
+    const lastComma = cleaned.lastIndexOf(',');
+    const lastDot = cleaned.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Both present: whichever comes last is the decimal separator
+        const decimalSeparator = lastComma > lastDot ? ',' : '.';
+        const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+        cleaned = cleaned.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        const separator = lastComma !== -1 ? ',' : '.';
+        const parts = cleaned.split(separator);
+        const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+        cleaned = isThousands ? parts.join('') : parts.join('.');
+    }
+
+    return parseFloat(cleaned);
+}
+
+/**
+ * Parse items copied from an inventory window (cargo hold, wreck or container).
+ * Handles the detail and list view layouts, where rows are tab-separated as
+ * name, quantity, group, [category, size, slot,] volume, estimated price.
+ * Plain "Item Name x10" lines are accepted as well.
+ * @param {string} lootText - Raw text copied from an inventory window
+ * @returns {Object} - { items: Map<string, number>, estimatedPrices: Map<string, number>, diagnostics }
+ */
+function parseLoot(lootText) {
+    const items = new Map();
+    const estimatedPrices = new Map();
+    const diagnostics = [];
+
+    if (!lootText || typeof lootText !== 'string') {
+        return { items, estimatedPrices, diagnostics };
+    }
+
+    lootText.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+
+        const lineNumber = index + 1;
+        const row = parseInventoryRow(line);
+
+        if (row.isHeader) {
+            return;
+        }
+        if (!row.itemName || !(row.quantity > 0)) {
+            diagnostics.push({ lineNumber, line, message: row.error || 'Unrecognised line' });
+            return;
+        }
+
+        // Stacked duplicates of the same item are summed
+        items.set(row.itemName, (items.get(row.itemName) || 0) + row.quantity);
+        if (row.estimatedPrice !== null) {
+            estimatedPrices.set(row.itemName, (estimatedPrices.get(row.itemName) || 0) + row.estimatedPrice);
+        }
+    });
+
+    return { items, estimatedPrices, diagnostics };
+}
+
+/**
+ * Parse one row of an inventory window copy
+ * @param {string} line - Trimmed, non-empty line
+ * @returns {Object} - { itemName, quantity, estimatedPrice, isHeader, error }
+ */
+function parseInventoryRow(line) {
+    const columns = line.split('\t').map(column => column.trim());
+
+    if (columns.length === 1) {
+        const { itemName, quantity } = parseItemLine(line);
+        return { itemName, quantity, estimatedPrice: null };
+    }
+
+    const [itemName, quantityText] = columns;
+    if (itemName.toLowerCase() === 'name' && /^quantity$/i.test(quantityText)) {
+        return { isHeader: true };
+    }
+
+    // Single, unstackable items (e.g. assembled containers) leave quantity blank
+    const quantity = quantityText === '' ? 1 : parseLocaleNumber(quantityText);
+    if (isNaN(quantity)) {
+        return { itemName, error: `Could not read quantity "${quantityText}"` };
+    }
+
+    // The estimated price is always the last column and is the total for the stack
+    const priceColumn = columns.slice(2).reverse().find(column => /ISK$/i.test(column));
+    const estimatedPrice = priceColumn ? parseIskAmount(priceColumn) : NaN;
+
+    return {
+        itemName,
+        quantity,
+        estimatedPrice: isNaN(estimatedPrice) ? null : estimatedPrice
+    };
+}
@@ -0,0 +1,512 @@
+// Price providers: where item names, market prices and health checks come from
+console.log("providers.js loaded");
+
+// Fuzzwork API endpoints
+const FUZZWORK_TYPEID_URL = 'https://www.fuzzwork.co.uk/api/typeid.php';
+const FUZZWORK_AGGREGATES_URL = 'https://market.fuzzwork.co.uk/aggregates/';
+
+// ESI API endpoints and constants
+const ESI_BASE_URL = 'https://esi.evetech.net/latest';
+
+// Type IDs per Fuzzwork aggregates request, to keep URLs a safe length
+const FUZZWORK_BATCH_SIZE = 200;
+
+/**
+ * Providers that valuations draw on, tried in the order chosen in Settings
+ * (settings.priceProviders). Each implements any of:
+ * - resolveTypeIds(names, options) => Promise<Map<string, number>> for the names it knows
+ * - getPrices(typeIds, hub, strategy, options) => Promise<Map<number, number>> for the IDs it can price
+ * - checkHealth() => Promise<boolean>
+ * where options are { signal, onProgress } as for calculateShipValueDetailed.
+ * Answers from `network` providers are cached; local ones are read fresh each time.
+ */
+const PRICE_PROVIDERS = {
+    sde: {
+        label: 'SDE',
+        description: 'Imported item database; resolves names offline',
+        network: false,
+        resolveTypeIds: resolveSdeTypeIds,
+        checkHealth: async () => (await countTypes()) > 0
+    },
+    esi: {
+        label: 'ESI',
+        description: 'Live market orders at the trade hub',
+        network: true,
+        getPrices: getEsiPrices,
+        checkHealth: () => checkEndpoint(`${ESI_BASE_URL}/status/`)
+    },
+    fuzzwork: {
+        label: 'Fuzzwork',
+        description: 'Item name lookup and daily market aggregates',
+        network: true,
+        resolveTypeIds: resolveFuzzworkTypeIds,
+        getPrices: getFuzzworkPrices,
+        checkHealth: () => checkEndpoint(`${FUZZWORK_TYPEID_URL}?typename=Tritanium`)
+    },
+    local: {
+        label: 'Local price list',
+        description: 'Prices imported from a file; works offline',
+        network: false,
+        resolveTypeIds: resolveLocalTypeIds,
+        getPrices: getLocalListPrices,
+        checkHealth: async () => (await countLocalPrices()) > 0
+    }
+};
+
+/**
+ * The providers enabled in Settings that can do a task, in the order to try them
+ * @param {string} task - 'resolveTypeIds', 'getPrices' or 'checkHealth'
+ * @returns {Promise<Object[]>} - Entries of PRICE_PROVIDERS, with their `id`
+ */
+async function getEnabledProviders(task) {
+    let providerIds = DEFAULT_SETTINGS.priceProviders;
+    try {
+        providerIds = (await getSettings()).priceProviders;
+    } catch (error) {
+        console.warn('Could not read provider order, using defaults:', error);
+    }
+    
+    return providerIds
+        .filter(id => PRICE_PROVIDERS[id] && PRICE_PROVIDERS[id][task])
+        .map(id => ({ id, ...PRICE_PROVIDERS[id] }));
+}
+
+/**
+ * Run one provider task. A provider that fails is treated as knowing nothing, so
+ * the next one still gets its turn; cancellation is passed on.
+ * @param {Object} provider - From getEnabledProviders()
+ * @param {string} task - 'resolveTypeIds' or 'getPrices'
+ * @param {Array} args - The task's arguments, ending with its { signal, onProgress } options
+ * @returns {Promise<Map>}
+ */
+async function askProvider(provider, task, args) {
+    const options = args[args.length - 1];
+    // Tag progress with the provider, so the UI can say where it is up to
+    const providerOptions = {
+        signal: options.signal,
+        onProgress: options.onProgress && (progress => options.onProgress({ ...progress, source: provider.label }))
+    };
+    
+    try {
+        return await provider[task](...args.slice(0, -1), providerOptions);
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        console.error(`${provider.label} could not ${task === 'getPrices' ? 'price' : 'resolve'} items:`, error);
+        return new Map();
+    }
+}
+
+/**
+ * Check providers' health
+ * @param {string[]} [providerIds] - Keys of PRICE_PROVIDERS; defaults to all of them
+ * @returns {Promise<Object[]>} - [{ id, label, network, available }] in the given order
+ */
+async function checkProviderHealth(providerIds = Object.keys(PRICE_PROVIDERS)) {
+    return Promise.all(providerIds.map(async (id) => {
+        const provider = PRICE_PROVIDERS[id];
+        let available = false;
+        try {
+            available = await provider.checkHealth();
+        } catch (error) {
+            console.warn(`${provider.label} health check failed:`, error);
+        }
+        return { id, label: provider.label, network: provider.network, available };
+    }));
+}
+
+async function checkEndpoint(url) {
+    // A health check shouldn't wait out retries
+    const response = await scheduledFetch(url, { method: 'GET', mode: 'cors', retries: 0 });
+    if (!response.ok) {
+        console.warn(`${url} returned non-OK status:`, response.status);
+    }
+    return response.ok;
+}
+
+// --- SDE ---
+async function resolveSdeTypeIds(names) {
+    const types = await resolveTypeNames(names);
+    return new Map(Array.from(types, ([name, type]) => [name, type.typeId]));
+}
+
+// --- ESI ---
+/**
+ * Price one side of an order book with a strategy. Only orders with at least
+ * `minVolume` units remaining count, so tiny bait orders can't set the price.
+ * - percentile: plain average of the best `percentile`% of orders
+ * - volumeWeighted: average price per unit of the best `percentile`% of units on offer
+ * @param {Object[]} orders - ESI market orders
+ * @param {boolean} isBuy - Price the buy side rather than the sell side
+ * @param {Object} strategy - Pricing strategy from getPricingSettings()
+ * @returns {number|null} - Price rounded to 2 decimal places, or null if no order qualifies
+ */
+function priceOrders(orders, isBuy, { method, percentile, minVolume }) {
+    // Buy prices are best when highest, sell prices when lowest
+    const eligible = orders
+        .filter(order => order.is_buy_order === isBuy && order.volume_remain > 0 && order.volume_remain >= minVolume)
+        .sort(isBuy ? (a, b) => b.price - a.price : (a, b) => a.price - b.price);
+    
+    if (eligible.length === 0) {
+        return null;
+    }
+    
+    let price;
+    if (method === 'volumeWeighted') {
+        const totalVolume = eligible.reduce((sum, order) => sum + order.volume_remain, 0);
+        const targetVolume = Math.max(1, totalVolume * percentile / 100);
+        let volume = 0;
+        let value = 0;
+        for (const order of eligible) {
+            const taken = Math.min(order.volume_remain, targetVolume - volume);
+            volume += taken;
+            value += taken * order.price;
+            if (volume >= targetVolume) {
+                break;
+            }
+        }
+        price = value / volume;
+    } else {
+        // At least one order
+        const count = Math.max(1, Math.ceil(eligible.length * percentile / 100));
+        price = eligible.slice(0, count).reduce((sum, order) => sum + order.price, 0) / count;
+    }
+    
+    return Math.round(price * 100) / 100;
+}
+
+/**
+ * Price one item from its regional orders: from orders at the hub station, or from
+ * the whole region if the hub has none. For a split price both sides must be priced.
+ * @param {Object[]} orders - ESI market orders in the hub's region
+ * @param {Object} hub - Entry from TRADE_HUBS
+ * @param {Object} strategy - Pricing strategy from getPricingSettings()
+ * @returns {number|null}
+ */
+function priceRegionOrders(orders, hub, strategy) {
+    const hubOrders = orders.filter(order => order.location_id === hub.stationId);
+    const priceSide = (isBuy) => {
+        const hubPrice = priceOrders(hubOrders, isBuy, strategy);
+        return hubPrice !== null ? hubPrice : priceOrders(orders, isBuy, strategy);
+    };
+    
+    if (strategy.side !== 'split') {
+        return priceSide(strategy.side === 'buy');
+    }
+    const buyPrice = priceSide(true);
+    const sellPrice = priceSide(false);
+    return buyPrice !== null && sellPrice !== null ? Math.round((buyPrice + sellPrice) * 50) / 100 : null;
+}
+
+/**
+ * Fetch market prices for type IDs from ESI orders at a trade hub
+ * @param {number[]} typeIds - Array of type IDs to get prices for
+ * @param {Object} hub - Entry from TRADE_HUBS
+ * @param {Object} strategy - Pricing strategy from getPricingSettings()
+ * @param {Object} [options] - { signal, onProgress } as for calculateShipValueDetailed
+ * @returns {Promise<Map<number, number>>} - Map of type IDs to prices
+ */
+async function getEsiPrices(typeIds, hub, strategy, options = {}) {
+    const prices = new Map();
+    const orderType = strategy.side === 'split' ? 'all' : strategy.side;
+    let done = 0;
+    
+    try {
+        console.log(`Fetching ${describePriceStrategy(strategy)} prices for ${typeIds.length} items`);
+        reportProgress(options, 'pricing', 0, typeIds.length);
+        
+        // ESI has no multi-type orders endpoint, so each type ID is one (paged) lookup;
+        // the scheduler keeps how many run at once within ESI's limits
+        const results = await Promise.all(typeIds.map(async (typeId) => {
+            try {
+                console.log(`Fetching market data for type ID: ${typeId}`);
+                
+                // Fetch all orders of the chosen side from the hub's region, across every page
+                const response = await fetchEsiPages(`${ESI_BASE_URL}/markets/${hub.regionId}/orders?type_id=${typeId}&order_type=${orderType}`, options);
+                
+                if (!response.ok) {
+                    if (response.status === 404) {
+                        console.warn(`No market data found for type ID ${typeId} (item may not be tradeable)`);
+                        return { typeId, price: null };
+                    }
+                    console.warn(`Failed to get market data for type ID ${typeId}: ${response.status}`);
+                    return { typeId, price: null };
+                }
+                
+                const price = priceRegionOrders(response.data, hub, strategy);
+                if (price === null) {
+                    console.warn(`No qualifying ${orderType} orders found for type ID ${typeId}`);
+                } else {
+                    console.log(`Type ID ${typeId}: ${price} ISK`);
+                }
+                return { typeId, price };
+                
+            } catch (error) {
+                if (isAbortError(error)) {
+                    throw error;
+                }
+                console.error(`Error fetching price for type ID ${typeId}:`, error);
+                return { typeId, price: null };
+            } finally {
+                reportProgress(options, 'pricing', ++done, typeIds.length);
+            }
+        }));
+        
+        // Build the prices map
+        results.forEach(result => {
+            if (result.price !== null) {
+                prices.set(result.typeId, result.price);
+            }
+        });
+        
+        console.log(`Successfully fetched prices for ${prices.size} out of ${typeIds.length} items`);
+        
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        console.error('Error in getEsiPrices:', error);
+    }
+    
+    return prices;
+}
+
+/**
+ * Fetch a paged ESI endpoint and join every page listed in its X-Pages header
+ * @param {string} url - ESI URL without a page parameter
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} - { ok, status, data } where data is all pages' items
+ * @throws {Error} - If a later page fails, since a partial order book would misprice
+ */
+async function fetchEsiPages(url, { signal } = {}) {
+    const firstPage = await scheduledFetchJson(url, { signal });
+    if (!firstPage.ok) {
+        return { ok: false, status: firstPage.status, data: [] };
+    }
+    
+    const data = firstPage.data;
+    const pageCount = parseInt(firstPage.headers.get('X-Pages')) || 1;
+    if (pageCount > 1) {
+        const separator = url.includes('?') ? '&' : '?';
+        const pages = await Promise.all(Array.from({ length: pageCount - 1 }, async (_, index) => {
+            const response = await scheduledFetchJson(`${url}${separator}page=${index + 2}`, { signal });
+            if (!response.ok) {
+                throw new Error(`ESI page ${index + 2} of ${pageCount} failed: ${response.status}`);
+            }
+            return response.data;
+        }));
+        pages.forEach(page => data.push(...page));
+    }
+    
+    return { ok: true, status: firstPage.status, data };
+}
+
+// --- Fuzzwork ---
+/**
+ * Resolve names with one Fuzzwork lookup each; names that differ only in case or
+ * spacing share a lookup
+ * @param {string[]} names - Item names to look up
+ * @param {Object} [options] - { signal, onProgress }
+ * @returns {Promise<Map<string, number>>} - Map of item names to type IDs, for the names found
+ */
+async function resolveFuzzworkTypeIds(names, options = {}) {
+    const lookups = new Map();
+    let done = 0;
+    names.forEach(name => {
+        const normalizedName = normalizeTypeName(name);
+        if (!lookups.has(normalizedName)) {
+            lookups.set(normalizedName, getFuzzworkTypeId(name, options).then(result => {
+                reportProgress(options, 'resolving', ++done, lookups.size);
+                return result;
+            }));
+        }
+    });
+    
+    const typeIds = new Map();
+    await Promise.all(names.map(async (name) => {
+        const result = await lookups.get(normalizeTypeName(name));
+        if (result) {
+            typeIds.set(name, result.typeId);
+        }
+    }));
+    return typeIds;
+}
+
+/**
+ * Look up one item's type ID with the Fuzzwork API
+ * @param {string} itemName - Item name to search for
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object|null>} - Result object or null
+ */
+async function getFuzzworkTypeId(itemName, { signal } = {}) {
+    try {
+        console.log(`Trying Fuzzwork lookup for: ${itemName}`);
+        
+        const response = await scheduledFetchJson(`${FUZZWORK_TYPEID_URL}?typename=${encodeURIComponent(itemName)}`, { signal });
+        
+        if (!response.ok) {
+            console.warn(`Fuzzwork lookup failed for ${itemName}: ${response.status}`);
+            return null;
+        }
+        
+        const data = response.data;
+        
+        let typeId = null;
+        
+        // Handle API response format (from backup)
+        if (Array.isArray(data)) {
+            typeId = data.length > 0 ? data[0].typeID : null;
+        } else if (data.typeID) {
+            typeId = data.typeID;
+        }
+        
+        if (typeId && typeId > 0) {
+            console.log(`Fuzzwork found type ID ${typeId} for ${itemName}`);
+            return { name: itemName, typeId: typeId };
+        }
+        
+        console.warn(`Fuzzwork: No type ID found for ${itemName}`);
+        return null;
+        
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        console.error(`Fuzzwork lookup error for ${itemName}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Fetch prices from the Fuzzwork market aggregates. The aggregates endpoint
+ * takes a list of type IDs, so prices are fetched FUZZWORK_BATCH_SIZE at a time.
+ * Fuzzwork only publishes fixed statistics, so the side is honoured but the
+ * method isn't: its 5% percentile price is used.
+ * @param {number[]} typeIds - Array of type IDs to get prices for
+ * @param {Object} hub - Entry from TRADE_HUBS
+ * @param {Object} strategy - Pricing strategy from getPricingSettings()
+ * @param {Object} [options] - { signal, onProgress } as for calculateShipValueDetailed
+ * @returns {Promise<Map<number, number>>} - Map of type IDs to prices
+ */
+async function getFuzzworkPrices(typeIds, hub, strategy, options = {}) {
+    const prices = new Map();
+    const uniqueTypeIds = [...new Set(typeIds)];
+    
+    // Fuzzwork's percentile, or failing that the best order's price
+    const sidePrice = (aggregate, side) => {
+        const stats = aggregate && aggregate[side];
+        return stats ? (parseFloat(stats.percentile) || parseFloat(side === 'buy' ? stats.max : stats.min) || null) : null;
+    };
+    
+    try {
+        console.log(`Fetching prices from Fuzzwork for ${uniqueTypeIds.length} items`);
+        
+        for (let start = 0; start < uniqueTypeIds.length; start += FUZZWORK_BATCH_SIZE) {
+            const batch = uniqueTypeIds.slice(start, start + FUZZWORK_BATCH_SIZE);
+            reportProgress(options, 'pricing', start, uniqueTypeIds.length);
+            try {
+                // Use the aggregated pricing API
+                const response = await scheduledFetchJson(`${FUZZWORK_AGGREGATES_URL}?station=${hub.stationId}&types=${batch.join(',')}`, { signal: options.signal });
+                
+                if (!response.ok) {
+                    console.warn(`Failed to get Fuzzwork prices for ${batch.length} type IDs: ${response.status}`);
+                    continue;
+                }
+                
+                const data = response.data;
+                
+                batch.forEach(typeId => {
+                    let price;
+                    if (strategy.side === 'split') {
+                        const buyPrice = sidePrice(data[typeId], 'buy');
+                        const sellPrice = sidePrice(data[typeId], 'sell');
+                        price = buyPrice && sellPrice ? Math.round((buyPrice + sellPrice) * 50) / 100 : null;
+                    } else {
+                        price = sidePrice(data[typeId], strategy.side);
+                    }
+                    if (price) {
+                        prices.set(typeId, price);
+                        console.log(`Fuzzwork - Type ID ${typeId}: ${price} ISK`);
+                    }
+                });
+                
+            } catch (error) {
+                if (isAbortError(error)) {
+                    throw error;
+                }
+                console.error(`Error fetching Fuzzwork prices for type IDs ${batch.join(', ')}:`, error);
+                continue;
+            }
+        }
+        
+        console.log(`Successfully fetched ${prices.size} prices from Fuzzwork`);
+        
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        console.error('Error in getFuzzworkPrices:', error);
+    }
+    
+    return prices;
+}
+
+// --- Local price list ---
+/**
+ * Parse a price list for the local provider: JSON (an array of rows, or an object
+ * keyed by type ID whose values are a price or a row) or CSV with a header row.
+ * Rows need typeId (or typeID) and price; a name lets the list resolve items too.
+ * The list's prices are used as they are, whatever the pricing strategy.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell JSON from CSV
+ * @returns {Object[]} - Records for the localPrices store: { typeId, name, aliases, price }
+ * @throws {Error} - If the list is empty or a row has no valid type ID or price
+ */
+function parsePriceList(text, fileName = '') {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    let rows;
+    if (isJson) {
+        const data = JSON.parse(text);
+        rows = Array.isArray(data) ? data : Object.entries(data).map(([typeId, value]) => (
+            value && typeof value === 'object' ? { typeId, ...value } : { typeId, price: value }
+        ));
+    } else {
+        rows = parseCsv(text);
+    }
+    if (rows.length === 0) {
+        throw new Error(`${fileName || 'The price list'} has no rows.`);
+    }
+    
+    return rows.map((row, index) => {
+        const typeId = Number(row.typeId !== undefined ? row.typeId : row.typeID);
+        const price = row.price === '' || row.price === null ? NaN : Number(row.price);
+        const name = row.name ? String(row.name).trim() : '';
+        if (!Number.isInteger(typeId) || typeId <= 0) {
+            throw new Error(`Row ${index + 1} of ${fileName || 'the price list'} has no valid typeId.`);
+        }
+        if (isNaN(price) || price < 0) {
+            throw new Error(`Row ${index + 1} of ${fileName || 'the price list'} has no valid price.`);
+        }
+        return { typeId, name, aliases: name ? getTypeNameAliases(name) : [], price };
+    });
+}
+
+async function resolveLocalTypeIds(names) {
+    const keysByName = new Map(names.map(name => [name, getTypeNameAliases(name)]));
+    const matches = await findLocalPricesByAliases([...new Set([...keysByName.values()].flat())]);
+    
+    const typeIds = new Map();
+    keysByName.forEach((keys, name) => {
+        const entries = keys.map(key => matches.get(key)).find(Boolean);
+        if (entries) {
+            typeIds.set(name, entries[0].typeId);
+        }
+    });
+    return typeIds;
+}
+
+async function getLocalListPrices(typeIds) {
+    const entries = await getLocalPrices(typeIds);
+    return new Map(Array.from(entries, ([typeId, entry]) => [typeId, entry.price]));
+}
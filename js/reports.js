@@ -0,0 +1,274 @@
+// Reporting logic: mission run metrics, aggregation and offline charts
+console.log("reports.js loaded");
+
+/**
+ * Active flying time of a run, excluding any time spent paused
+ * @param {Object} run - MissionRun record
+ * @param {number} [now] - Timestamp to measure unfinished runs against
+ * @returns {number} - Elapsed milliseconds
+ */
+function getRunElapsedMs(run, now = Date.now()) {
+    const start = new Date(run.startTime).getTime();
+    const end = run.endTime ? new Date(run.endTime).getTime() : now;
+    const pausedMs = (run.pauses || []).reduce((total, pause) => {
+        const pauseEnd = pause.end ? new Date(pause.end).getTime() : end;
+        return total + Math.max(0, pauseEnd - new Date(pause.start).getTime());
+    }, 0);
+    return Math.max(0, end - start - pausedMs);
+}
+
+/**
+ * ISK value of one LP for a mission: the issuing corporation's rate from
+ * Settings if one is set, otherwise the default rate
+ * @param {Object} settings - Settings from getSettings()
+ * @param {Object} mission - Mission record
+ * @returns {number}
+ */
+function getIskPerLpRate(settings, mission) {
+    const corporationRates = settings.corporationLpRates || {};
+    const corporationRate = mission.corporation ? corporationRates[mission.corporation] : undefined;
+    return typeof corporationRate === 'number' ? corporationRate : (settings.iskPerLpRate || 0);
+}
+
+/**
+ * Calculate the metrics from project-plan.md for a single run:
+ * TotalNetGain = (Bounties + Loot + Salvage + LP * iskPerLpRate) - Expenses
+ * ISKPerHour = TotalNetGain / duration in hours
+ * @param {Object} run - MissionRun record
+ * @param {Object} mission - Mission the run was for (may be empty if deleted)
+ * @param {number} iskPerLpRate - ISK value of one LP
+ * @returns {Object} - Value breakdown, totalNetGain, durationHours and iskPerHour
+ */
+function calculateRunMetrics(run, mission, iskPerLpRate) {
+    const expenses = (run.expenses || []).reduce((total, expense) => total + (expense.cost || 0), 0);
+    // Aborted missions pay no LP
+    const lp = run.status === 'Completed' ? (mission.baseLpReward || 0) : 0;
+    const lpValue = lp * iskPerLpRate;
+
+    const totalNetGain = (run.bountiesValue || 0) + (run.lootValue || 0) + (run.salvageValue || 0) + lpValue - expenses;
+    const durationHours = getRunElapsedMs(run) / 3600000;
+
+    return {
+        bountiesValue: run.bountiesValue || 0,
+        lootValue: run.lootValue || 0,
+        salvageValue: run.salvageValue || 0,
+        lp,
+        lpValue,
+        expenses,
+        totalNetGain,
+        durationHours,
+        iskPerHour: durationHours > 0 ? totalNetGain / durationHours : 0
+    };
+}
+
+// How runs can be grouped in a report: each returns { key, label } for a report row
+const REPORT_GROUPINGS = {
+    run: ({ run, mission }) => ({
+        key: run.id,
+        label: `${mission.name || 'Unknown mission'} (${new Date(run.startTime).toLocaleString()})`
+    }),
+    mission: ({ run, mission }) => ({
+        key: run.missionId,
+        label: mission.name || 'Unknown mission'
+    }),
+    ship: ({ run, ship }) => ({
+        key: run.shipId,
+        label: ship ? ship.name : 'No ship'
+    }),
+    level: ({ mission }) => ({
+        key: mission.level || 0,
+        label: mission.level ? `Level ${mission.level}` : 'Unknown level'
+    }),
+    faction: ({ mission }) => ({
+        key: mission.enemyFaction || '',
+        label: mission.enemyFaction || 'Unknown faction'
+    }),
+    day: ({ run }) => {
+        const key = getLocalDateKey(new Date(run.startTime));
+        return { key, label: key };
+    },
+    week: ({ run }) => {
+        const key = getIsoWeekKey(new Date(run.startTime));
+        return { key, label: key };
+    }
+};
+
+/**
+ * Build report rows for finished runs grouped by one of REPORT_GROUPINGS.
+ * ISK/hour for a group is its total net gain over its total active hours,
+ * so long runs weigh more than short ones.
+ * @param {Object[]} runs - MissionRun records
+ * @param {Object[]} missions - Mission records
+ * @param {Object[]} ships - Ship records
+ * @param {Object} options - { groupBy, settings } where settings provides the LP rates
+ * @returns {Object} - { rows, totals }
+ */
+function buildReport(runs, missions, ships, { groupBy = 'mission', settings }) {
+    const grouping = REPORT_GROUPINGS[groupBy] || REPORT_GROUPINGS.mission;
+    const groups = new Map();
+    const totals = createReportRow(null, 'All runs');
+
+    runs
+        .filter(run => run.status === 'Completed' || run.status === 'Aborted')
+        .forEach(run => {
+            const context = {
+                run,
+                mission: missions.find(m => m.id === run.missionId) || {},
+                ship: ships.find(s => s.id === run.shipId) || null
+            };
+            const metrics = calculateRunMetrics(run, context.mission, getIskPerLpRate(settings, context.mission));
+            const { key, label } = grouping(context);
+
+            if (!groups.has(key)) {
+                groups.set(key, createReportRow(key, label));
+            }
+            addRunToReportRow(groups.get(key), run, metrics);
+            addRunToReportRow(totals, run, metrics);
+        });
+
+    const rows = Array.from(groups.values()).map(finalizeReportRow);
+    if (groupBy === 'day' || groupBy === 'week') {
+        rows.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+    } else {
+        rows.sort((a, b) => b.iskPerHour - a.iskPerHour);
+    }
+
+    return { rows, totals: finalizeReportRow(totals) };
+}
+
+function createReportRow(key, label) {
+    return {
+        key,
+        label,
+        runs: 0,
+        completedRuns: 0,
+        abortedRuns: 0,
+        bountiesValue: 0,
+        lootValue: 0,
+        salvageValue: 0,
+        lpValue: 0,
+        expenses: 0,
+        totalNetGain: 0,
+        durationHours: 0
+    };
+}
+
+function addRunToReportRow(row, run, metrics) {
+    row.runs++;
+    if (run.status === 'Completed') {
+        row.completedRuns++;
+    } else {
+        row.abortedRuns++;
+    }
+    row.bountiesValue += metrics.bountiesValue;
+    row.lootValue += metrics.lootValue;
+    row.salvageValue += metrics.salvageValue;
+    row.lpValue += metrics.lpValue;
+    row.expenses += metrics.expenses;
+    row.totalNetGain += metrics.totalNetGain;
+    row.durationHours += metrics.durationHours;
+}
+
+function finalizeReportRow(row) {
+    return {
+        ...row,
+        averageNetGain: row.runs > 0 ? row.totalNetGain / row.runs : 0,
+        iskPerHour: row.durationHours > 0 ? row.totalNetGain / row.durationHours : 0
+    };
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} - Local calendar day as YYYY-MM-DD
+ */
+function getLocalDateKey(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} - ISO 8601 week such as "2025-W29"
+ */
+function getIsoWeekKey(date) {
+    // The ISO week belongs to the year of its Thursday
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+    return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Format a large ISK amount compactly, e.g. 12.5M
+ * @param {number} value - ISK amount
+ * @returns {string}
+ */
+function formatIskShort(value) {
+    const abs = Math.abs(value);
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    const unit = units.find(([size]) => abs >= size);
+    return unit ? `${(value / unit[0]).toFixed(1)}${unit[1]}` : String(Math.round(value));
+}
+
+/**
+ * Render a horizontal bar chart as an inline SVG string. Drawn locally so the
+ * reports keep working offline; negative values extend left of the zero line.
+ * @param {Object[]} rows - Items to chart
+ * @param {Object} options - { value: row => number, label: row => string, format: number => string }
+ * @returns {string} - SVG markup
+ */
+function renderBarChart(rows, { value, label, format = formatIskShort }) {
+    if (rows.length === 0) {
+        return '';
+    }
+
+    const width = 800;
+    const labelWidth = 240;
+    const valueWidth = 80;
+    const barHeight = 22;
+    const gap = 8;
+    const height = rows.length * (barHeight + gap) + gap;
+
+    const values = rows.map(value);
+    const min = Math.min(0, ...values);
+    const max = Math.max(0, ...values);
+    const range = max - min || 1;
+    const plotWidth = width - labelWidth - valueWidth;
+    const scale = (v) => labelWidth + ((v - min) / range) * plotWidth;
+    const zeroX = scale(0);
+
+    const bars = rows.map((row, index) => {
+        const v = values[index];
+        const y = gap + index * (barHeight + gap);
+        const x = Math.min(zeroX, scale(v));
+        const barWidth = Math.max(1, Math.abs(scale(v) - zeroX));
+        const text = escapeXml(truncateLabel(label(row), 32));
+        return `<g>
+            <title>${escapeXml(label(row))}: ${escapeXml(format(v))}</title>
+            <text class="chart-label" x="${labelWidth - 8}" y="${y + barHeight * 0.7}" text-anchor="end">${text}</text>
+            <rect class="chart-bar${v < 0 ? ' negative' : ''}" x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3"></rect>
+            <text class="chart-value" x="${width - valueWidth + 8}" y="${y + barHeight * 0.7}">${escapeXml(format(v))}</text>
+        </g>`;
+    }).join('');
+
+    return `<svg class="bar-chart" viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMinYMin meet">
+        <line class="chart-axis" x1="${zeroX}" y1="0" x2="${zeroX}" y2="${height}"></line>
+        ${bars}
+    </svg>`;
+}
+
+function truncateLabel(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,234 @@
+// Shared fetch scheduler: per-host concurrency, retries, timeouts and ESI error budget
+console.log("scheduler.js loaded");
+
+// How hard each API host may be hit. minInterval is the gap between request starts.
+const HOST_LIMITS = {
+    'esi.evetech.net': { concurrency: 6, minInterval: 0 },
+    'market.fuzzwork.co.uk': { concurrency: 2, minInterval: 100 },
+    'www.fuzzwork.co.uk': { concurrency: 2, minInterval: 100 }
+};
+const DEFAULT_HOST_LIMIT = { concurrency: 4, minInterval: 0 };
+
+const FETCH_TIMEOUT_MS = 15000;
+const FETCH_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+// ESI stops answering (420) once a client makes too many failed requests in a
+// window; pause the host before the remaining budget runs out
+const ESI_ERROR_LIMIT_THRESHOLD = 10;
+
+// Per-host state: { active, waiting: [resolve], lastStart, pausedUntil }
+const hostQueues = new Map();
+
+function getHostQueue(host) {
+    if (!hostQueues.has(host)) {
+        hostQueues.set(host, { active: 0, waiting: [], lastStart: 0, pausedUntil: 0 });
+    }
+    return hostQueues.get(host);
+}
+
+/**
+ * Fetch through the scheduler. Waits for a free slot on the URL's host, times out
+ * hung requests, and retries 5xx and 420 responses (and timeouts) with backoff.
+ * The timeout only covers the headers; use scheduledFetchJson to read the body too.
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - fetch options, plus:
+ * @param {AbortSignal} [options.signal] - Cancels waiting, the request and any retries
+ * @param {number} [options.timeout] - Milliseconds before one attempt is abandoned
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @returns {Promise<Response>} - The final response, which may still be an error status
+ * @throws {DOMException} - AbortError if cancelled; TimeoutError once retries run out
+ */
+async function scheduledFetch(url, options = {}) {
+    const { response } = await runScheduledFetch(url, options, null);
+    return response;
+}
+
+/**
+ * Fetch JSON through the scheduler, as scheduledFetch. The body of a successful
+ * response is read within the same timeout and host slot, so a stalled body is
+ * abandoned and retried like a stalled request.
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - As for scheduledFetch
+ * @returns {Promise<Object>} - { ok, status, headers, data }, where data is the parsed
+ *   body of a successful response and null otherwise
+ * @throws {DOMException} - AbortError if cancelled; TimeoutError once retries run out
+ */
+async function scheduledFetchJson(url, options = {}) {
+    const { response, body } = await runScheduledFetch(url, options, response => (response.ok ? response.json() : null));
+    return { ok: response.ok, status: response.status, headers: response.headers, data: body };
+}
+
+/**
+ * @param {Function|null} readBody - response => Promise of its body, or null to leave it unread
+ * @returns {Promise<Object>} - { response, body }
+ */
+async function runScheduledFetch(url, { signal, timeout = FETCH_TIMEOUT_MS, retries = FETCH_MAX_RETRIES, ...fetchOptions }, readBody) {
+    const host = new URL(url).host;
+    const limits = HOST_LIMITS[host] || DEFAULT_HOST_LIMIT;
+    const queue = getHostQueue(host);
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireHostSlot(queue, limits, signal);
+
+        let response;
+        let body;
+        try {
+            ({ response, body } = await fetchWithTimeout(url, fetchOptions, timeout, signal, readBody));
+        } catch (error) {
+            if (error.name !== 'TimeoutError' || attempt >= retries) {
+                throw error;
+            }
+            console.warn(`Request to ${host} timed out, retrying (${attempt + 1}/${retries})`);
+            continue;
+        } finally {
+            releaseHostSlot(queue);
+        }
+
+        updateEsiErrorBudget(queue, response);
+
+        if ((response.status >= 500 || response.status === 420) && attempt < retries) {
+            const delay = getRetryDelay(response, attempt);
+            console.warn(`Request to ${host} failed with ${response.status}, retrying in ${delay} ms (${attempt + 1}/${retries})`);
+            await abortableDelay(delay, signal);
+            continue;
+        }
+
+        return { response, body };
+    }
+}
+
+async function acquireHostSlot(queue, limits, signal) {
+    throwIfAborted(signal);
+    if (queue.active >= limits.concurrency) {
+        await new Promise((resolve, reject) => {
+            const waiter = () => {
+                signal && signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            const onAbort = () => {
+                queue.waiting.splice(queue.waiting.indexOf(waiter), 1);
+                reject(signal.reason);
+            };
+            signal && signal.addEventListener('abort', onAbort, { once: true });
+            queue.waiting.push(waiter);
+        });
+        // releaseHostSlot handed over its slot without freeing it
+    } else {
+        queue.active++;
+    }
+    // The slot is ours from here, even while waiting out a pause or interval
+
+    // Book the start time before waiting, so requests sharing the host space out
+    const startAt = Math.max(Date.now(), queue.pausedUntil, queue.lastStart + limits.minInterval);
+    queue.lastStart = startAt;
+
+    try {
+        if (startAt > Date.now()) {
+            await abortableDelay(startAt - Date.now(), signal);
+        }
+    } catch (error) {
+        releaseHostSlot(queue);
+        throw error;
+    }
+}
+
+function releaseHostSlot(queue) {
+    // Hand the slot straight to the next waiter, so no new caller can take it in between
+    const next = queue.waiting.shift();
+    if (next) {
+        next();
+    } else {
+        queue.active--;
+    }
+}
+
+/**
+ * One fetch attempt that gives up after `timeout` ms, or when `signal` aborts.
+ * The timeout keeps running while `readBody` reads the response.
+ * @returns {Promise<Object>} - { response, body }
+ * @throws {DOMException} - TimeoutError on timeout, or the signal's reason
+ */
+async function fetchWithTimeout(url, fetchOptions, timeout, signal, readBody) {
+    throwIfAborted(signal);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new DOMException(`Request timed out after ${timeout} ms`, 'TimeoutError')), timeout);
+    const onAbort = () => controller.abort(signal.reason);
+    signal && signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+        return { response, body: readBody ? await readBody(response) : null };
+    } catch (error) {
+        // fetch rejects with a generic AbortError; surface why it was aborted
+        throw controller.signal.aborted ? controller.signal.reason : error;
+    } finally {
+        clearTimeout(timer);
+        signal && signal.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Pause a host when ESI reports its error budget is nearly spent, until the window resets
+ * @param {Object} queue - Host queue state
+ * @param {Response} response
+ */
+function updateEsiErrorBudget(queue, response) {
+    const headers = response.headers;
+    const remain = headers ? parseInt(headers.get('X-ESI-Error-Limit-Remain')) : NaN;
+    const reset = headers ? parseInt(headers.get('X-ESI-Error-Limit-Reset')) : NaN;
+    if (isNaN(remain) || isNaN(reset)) {
+        return;
+    }
+    if (remain <= ESI_ERROR_LIMIT_THRESHOLD || response.status === 420) {
+        queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + reset * 1000);
+        console.warn(`ESI error budget low (${remain} left), pausing requests for ${reset} s`);
+    }
+}
+
+/**
+ * Exponential backoff with jitter; an error-limited (420) response waits for the
+ * window reset instead, and Retry-After is honoured when the server sends it
+ * @returns {number} - Milliseconds to wait
+ */
+function getRetryDelay(response, attempt) {
+    const headers = response.headers;
+    const reset = headers ? parseInt(headers.get('X-ESI-Error-Limit-Reset')) : NaN;
+    const retryAfter = headers ? parseInt(headers.get('Retry-After')) : NaN;
+    if (response.status === 420 && !isNaN(reset)) {
+        return reset * 1000;
+    }
+    if (!isNaN(retryAfter)) {
+        return retryAfter * 1000;
+    }
+    return RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+}
+
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        throwIfAborted(signal);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal && signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal && signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason;
+    }
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean} - True if the error is a cancellation by the user
+ */
+function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
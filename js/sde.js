@@ -0,0 +1,288 @@
+// Static Data Export (SDE) import and offline item name resolution
+console.log("sde.js loaded");
+
+/**
+ * Parse one SDE file, as CSV (invTypes, invGroups, invCategories) or JSON
+ * (an array of rows, or an object keyed by ID as in types.json/groups.json/categories.json)
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell JSON from CSV
+ * @returns {Object} - { kind: 'types'|'groups'|'categories', rows }
+ * @throws {Error} - If the file is empty or not a recognised SDE table
+ */
+function parseSdeFile(text, fileName = '') {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    const rows = isJson ? parseSdeJson(text) : parseCsv(text);
+    if (rows.length === 0) {
+        throw new Error(`${fileName || 'The file'} has no rows.`);
+    }
+
+    const kind = detectSdeKind(rows[0]);
+    if (!kind) {
+        throw new Error(`${fileName || 'The file'} is not an SDE types, groups or categories table.`);
+    }
+    return { kind, rows };
+}
+
+function parseSdeJson(text) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) {
+        return data;
+    }
+    // FSD layout: { "587": { groupID, name: { en: "Rifter" }, ... }, ... }
+    return Object.entries(data).map(([id, row]) => ({ ...row, id: Number(id) }));
+}
+
+/**
+ * Parse CSV with a header row into objects. Handles quoted fields containing
+ * commas, doubled quotes and line breaks (SDE descriptions have all three).
+ * @param {string} text - CSV text
+ * @returns {Object[]} - One object per row, keyed by header
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header, ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) {
+        return [];
+    }
+    const columns = header.map(column => column.trim());
+    return rows.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index]])));
+}
+
+function detectSdeKind(row) {
+    if ('typeID' in row || 'typeName' in row || ('groupID' in row && !('categoryID' in row))) {
+        return 'types';
+    }
+    if ('categoryID' in row && ('groupID' in row || 'id' in row) && !('categoryName' in row)) {
+        return 'groups';
+    }
+    if ('categoryName' in row || ('id' in row && 'name' in row)) {
+        return 'categories';
+    }
+    return null;
+}
+
+// SDE names are either plain strings or { en, de, ... } in the FSD files
+function getSdeName(value) {
+    if (value && typeof value === 'object') {
+        return value.en || '';
+    }
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function getSdeNumber(value) {
+    const number = Number(value);
+    return value === '' || value === 'None' || value === null || value === undefined || isNaN(number) ? null : number;
+}
+
+/**
+ * Combine parsed SDE tables into records for the types store
+ * @param {Object[]} files - Results of parseSdeFile
+ * @returns {Object[]} - [{ typeId, name, aliases, groupId, groupName, categoryId, categoryName, volume, published }]
+ * @throws {Error} - If no types table was given
+ */
+function buildTypeRecords(files) {
+    const rowsOf = kind => files.filter(file => file.kind === kind).flatMap(file => file.rows);
+    const typeRows = rowsOf('types');
+    if (typeRows.length === 0) {
+        throw new Error('Include an invTypes (or types.json) file; groups and categories alone cannot be imported.');
+    }
+
+    const categories = new Map(rowsOf('categories').map(row => [
+        getSdeNumber(row.categoryID !== undefined ? row.categoryID : row.id),
+        getSdeName(row.categoryName !== undefined ? row.categoryName : row.name)
+    ]));
+    const groups = new Map(rowsOf('groups').map(row => [
+        getSdeNumber(row.groupID !== undefined ? row.groupID : row.id),
+        { name: getSdeName(row.groupName !== undefined ? row.groupName : row.name), categoryId: getSdeNumber(row.categoryID) }
+    ]));
+
+    return typeRows
+        .map(row => {
+            const typeId = getSdeNumber(row.typeID !== undefined ? row.typeID : row.id);
+            const name = getSdeName(row.typeName !== undefined ? row.typeName : row.name);
+            const groupId = getSdeNumber(row.groupID);
+            const group = groups.get(groupId);
+            const categoryId = group ? group.categoryId : null;
+            return {
+                typeId,
+                name,
+                aliases: getTypeNameAliases(name),
+                groupId,
+                groupName: group ? group.name : null,
+                categoryId,
+                categoryName: categories.get(categoryId) || null,
+                volume: getSdeNumber(row.volume),
+                // Missing means published; CSV exports use 1/0 or True/False
+                published: row.published === undefined || [true, 1, '1', 'True', 'true'].includes(row.published)
+            };
+        })
+        .filter(type => type.typeId !== null && type.name !== '');
+}
+
+/**
+ * Normalise an item name for lookups: case, whitespace and typographic
+ * quotes/dashes don't matter
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeTypeName(name) {
+    return name
+        .toLowerCase()
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201c\u201d]/g, '"')
+        .replace(/[\u2010-\u2015]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Every key an item name can be looked up by: its normalised name, and the same
+ * without punctuation so e.g. "Augmented Hammerhead" finds "'Augmented' Hammerhead"
+ * @param {string} name
+ * @returns {string[]}
+ */
+function getTypeNameAliases(name) {
+    const normalized = normalizeTypeName(name);
+    const bare = normalized.replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+    return bare && bare !== normalized ? [normalized, bare] : [normalized];
+}
+
+/**
+ * Resolve item names against the imported SDE types, preferring published types
+ * when several share a name
+ * @param {string[]} names - Item names as pasted
+ * @returns {Promise<Map<string, Object>>} - Name => type record, for the names found
+ */
+async function resolveTypeNames(names) {
+    const keysByName = new Map(names.map(name => [name, getTypeNameAliases(name)]));
+    const matches = await findTypesByAliases([...new Set([...keysByName.values()].flat())]);
+
+    const resolved = new Map();
+    keysByName.forEach((keys, name) => {
+        const candidates = keys.flatMap(key => matches.get(key) || []);
+        const type = candidates.find(candidate => candidate.published) || candidates[0];
+        if (type) {
+            resolved.set(name, type);
+        }
+    });
+    return resolved;
+}
+
+/**
+ * Parse an EFT fitting with parseFitting(), telling drones from cargo by the
+ * SDE category of their items where the imported SDE knows them
+ * @param {string} fittingText - Raw fitting text from the game
+ * @returns {Promise<Object>} - As parseFitting
+ */
+async function parseFittingWithTypes(fittingText) {
+    const fitting = parseFitting(fittingText);
+    const names = [...fitting.sections.drone, ...fitting.sections.cargo].map(entry => entry.name);
+    if (names.length === 0) {
+        return fitting;
+    }
+    const types = await resolveTypeNames(names);
+    if (types.size === 0) {
+        return fitting;
+    }
+    return parseFitting(fittingText, { itemCategories: new Map(Array.from(types, ([name, type]) => [name, type.categoryName])) });
+}
+
+// Published type names for suggestions, loaded on first use
+let typeNameIndex = null;
+
+function resetTypeNameIndex() {
+    typeNameIndex = null;
+}
+
+/**
+ * Suggest imported type names close to a name that didn't resolve
+ * @param {string} name - Unresolved item name
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Promise<string[]>} - Closest names first; empty if no SDE is imported
+ */
+async function suggestTypeNames(name, limit = 3) {
+    if (!typeNameIndex) {
+        typeNameIndex = getTypes()
+            .then(types => types
+                .filter(type => type.published)
+                .map(type => ({ name: type.name, key: normalizeTypeName(type.name) })))
+            .catch(error => {
+                // Let the next call try again rather than keep failing
+                typeNameIndex = null;
+                throw error;
+            });
+    }
+
+    const target = normalizeTypeName(name);
+    // Allow roughly one typo per four characters
+    const maxDistance = Math.max(2, Math.floor(target.length / 4));
+
+    return (await typeNameIndex)
+        .filter(entry => Math.abs(entry.key.length - target.length) <= maxDistance)
+        .map(entry => ({ name: entry.name, distance: levenshteinDistance(target, entry.key, maxDistance) }))
+        .filter(entry => entry.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .map(entry => entry.name);
+}
+
+/**
+ * Edit distance between two strings, giving up once it exceeds maxDistance
+ * @returns {number} - The distance, or maxDistance + 1 if it is larger
+ */
+function levenshteinDistance(a, b, maxDistance = Infinity) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) {
+            return maxDistance + 1;
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
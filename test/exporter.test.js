@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const { parseFitting, formatEft, formatShipDna, formatEsiFitting } = loadScripts('js/parser.js', 'js/exporter.js');
+
+const DRAKE = [
+    '[Drake, Mission Runner]',
+    'Ballistic Control System II',
+    '[Empty Low slot]',
+    '',
+    'Large Shield Extender II',
+    '10MN Afterburner II /OFFLINE',
+    '',
+    'Heavy Missile Launcher II, Scourge Heavy Missile',
+    'Heavy Missile Launcher II, Scourge Heavy Missile',
+    '',
+    '',
+    'Hobgoblin II x2',
+    '',
+    '',
+    'Nanite Repair Paste x50'
+].join('\n');
+
+const typeIds = new Map([
+    ['Drake', 24698],
+    ['Ballistic Control System II', 22291],
+    ['Large Shield Extender II', 3841],
+    ['10MN Afterburner II', 12058],
+    ['Heavy Missile Launcher II', 2410],
+    ['Scourge Heavy Missile', 209],
+    ['Hobgoblin II', 2456],
+    ['Nanite Repair Paste', 28668]
+]);
+
+const toFlags = items => Array.from(items, item => `${item.type_id} ${item.flag} ${item.quantity}`);
+
+test('formatEft writes charges, offline modules and empty slots back as EFT', () => {
+    const text = formatEft(parseFitting(DRAKE), 'Exported');
+
+    assert.equal(text, [
+        '[Drake, Exported]',
+        'Ballistic Control System II',
+        '[Empty Low slot]',
+        '',
+        'Large Shield Extender II',
+        '10MN Afterburner II /OFFLINE',
+        '',
+        'Heavy Missile Launcher II, Scourge Heavy Missile',
+        'Heavy Missile Launcher II, Scourge Heavy Missile',
+        '',
+        '',
+        'Hobgoblin II x2',
+        '',
+        '',
+        'Nanite Repair Paste x50',
+        ''
+    ].join('\n'));
+});
+
+test('formatEft keeps drones-only and cargo-only fittings apart when read back', () => {
+    const fitting = parseFitting(DRAKE);
+    const dronesOnly = parseFitting(formatEft({ ...fitting, sections: { ...fitting.sections, cargo: [] } }));
+    const cargoOnly = parseFitting(formatEft({ ...fitting, sections: { ...fitting.sections, drone: [] } }));
+
+    assert.deepEqual(Array.from(dronesOnly.sections.drone, entry => entry.name), ['Hobgoblin II']);
+    assert.equal(dronesOnly.sections.cargo.length, 0);
+    assert.equal(cargoOnly.sections.drone.length, 0);
+    assert.deepEqual(Array.from(cargoOnly.sections.cargo, entry => entry.name), ['Nanite Repair Paste']);
+});
+
+test('formatShipDna counts modules, loaded charges, drones and cargo', () => {
+    assert.equal(
+        formatShipDna(parseFitting(DRAKE), typeIds),
+        '24698:2410;2:3841;1:12058;1:22291;1:2456;2:209;2:28668_;50::'
+    );
+});
+
+test('formatEsiFitting numbers slots and moves loaded charges to cargo', () => {
+    const esiFitting = formatEsiFitting(parseFitting(DRAKE), typeIds, 'Exported');
+
+    assert.equal(esiFitting.name, 'Exported');
+    assert.equal(esiFitting.ship_type_id, 24698);
+    assert.deepEqual(toFlags(esiFitting.items), [
+        '22291 LoSlot0 1',
+        '3841 MedSlot0 1',
+        '12058 MedSlot1 1',
+        '2410 HiSlot0 1',
+        '2410 HiSlot1 1',
+        '209 Cargo 2',
+        '2456 DroneBay 2',
+        '28668 Cargo 50'
+    ]);
+});
+
+test('formatEsiFitting keeps later modules in their slots when one is unknown', () => {
+    const fitting = parseFitting([
+        '[Drake, Mission Runner]',
+        'Ballistic Control System II',
+        'Prototype Ballistic Control System',
+        'Ballistic Control System II'
+    ].join('\n'));
+
+    assert.deepEqual(toFlags(formatEsiFitting(fitting, typeIds).items), ['22291 LoSlot0 1', '22291 LoSlot2 1']);
+});
+
+test('formatEsiFitting trims the name to the 50 characters ESI allows', () => {
+    const esiFitting = formatEsiFitting(parseFitting('[Drake, Mission Runner]'), typeIds, 'x'.repeat(60));
+
+    assert.equal(esiFitting.name.length, 50);
+    assert.deepEqual(plain(esiFitting.items), []);
+});
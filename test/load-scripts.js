@@ -0,0 +1,30 @@
+// Loads the app's browser scripts into one sandbox, as index.html does, so their
+// top-level functions can be tested under Node: node --test test/*.test.js
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * @param {...string} files - Script paths relative to the repository root, in load order
+ * @returns {Object} - The sandbox's globals, with each script's top-level functions
+ */
+function loadScripts(...files) {
+    const context = vm.createContext({ console: { ...console, log() {} } });
+    files.forEach(file => {
+        const fullPath = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), context, { filename: fullPath });
+    });
+    return context;
+}
+
+/**
+ * Copy a value out of the sandbox: its objects and arrays have other prototypes,
+ * so deepStrictEqual would never match them against local ones
+ * @param {*} value - JSON-compatible value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain };
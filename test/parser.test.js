@@ -0,0 +1,346 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+// The exporter writes XML fittings out as EFT
+const {
+    buildFittingChecklist, buildXmlFitting, checkChecklistAgainstFitting, countChecklistQuantities, diffFittings,
+    findChecklistSource, formatEft, parseBounties, parseFitting, parseLocaleNumber, parseLoot, splitFittingsFile
+} = loadScripts('js/parser.js', 'js/exporter.js');
+
+test('parseLocaleNumber reads English and European separators', () => {
+    assert.equal(parseLocaleNumber('1,234,567.89'), 1234567.89);
+    assert.equal(parseLocaleNumber('1.234.567,89'), 1234567.89);
+    assert.equal(parseLocaleNumber('1 234 567'), 1234567);
+    assert.equal(parseLocaleNumber('-5 000,00'), -5000);
+    assert.equal(parseLocaleNumber('12,5'), 12.5);
+    assert.equal(parseLocaleNumber('1,234'), 1234);
+    assert.ok(isNaN(parseLocaleNumber('12 ISK')));
+});
+
+test('parseBounties totals bounties and mission rewards by category', () => {
+    const result = parseBounties([
+        'Date\tType\tAmount\tBalance\tDescription',
+        '2025.07.14 19:02:11\tBounty Prizes\t1,500,000.00 ISK\t10,000,000.00 ISK\tBounty prizes for killing pirates',
+        '2025.07.14 19:22\tAgent Mission Reward\t800,000 ISK\t10,800,000 ISK\tReward',
+        '2025.07.14 19:22\tAgent Mission Time Bonus Reward\t400 000,00 ISK\t11 200 000,00 ISK\tBonus',
+        '2025.07.14 19:30\tMarket Transaction\t-1,000 ISK\t11,199,000 ISK\tBought ammo'
+    ].join('\n'));
+
+    assert.deepEqual(plain(result.totals), { bounties: 1500000, missionReward: 800000, timeBonus: 400000, total: 2700000 });
+    assert.deepEqual(Array.from(result.entries, entry => entry.category), ['bounties', 'missionReward', 'timeBonus']);
+    assert.equal(result.entries[0].date, '2025-07-14T19:02:11.000Z');
+    assert.equal(result.entries[0].balance, 10000000);
+    assert.deepEqual(Array.from(result.diagnostics, ({ lineNumber, message }) => `${lineNumber}: ${message}`), [
+        '5: Ignored journal entry type "Market Transaction"'
+    ]);
+});
+
+test('parseBounties keeps entries outside the run window apart', () => {
+    const journal = [
+        '2025.07.14 18:59\tBounty Prizes\t100 ISK',
+        '2025.07.14 19:00\tBounty Prizes\t200 ISK',
+        '2025.07.14 20:04\tBounty Prizes\t300 ISK',
+        '2025.07.14 20:10\tBounty Prizes\t400 ISK'
+    ].join('\n');
+    const result = parseBounties(journal, { from: '2025-07-14T19:00:30Z', to: '2025-07-14T20:00:00Z', graceMinutes: 5 });
+
+    // 19:00 without seconds may be after 19:00:30; 20:04 is within the grace period
+    assert.deepEqual(Array.from(result.entries, entry => entry.amount), [200, 300]);
+    assert.deepEqual(Array.from(result.outsideWindow, entry => entry.amount), [100, 400]);
+    assert.equal(result.totals.total, 500);
+});
+
+test('parseBounties reports lines it cannot read', () => {
+    const result = parseBounties([
+        'not a journal row',
+        '2025.07.14 19:00\tBounty Prizes',
+        '2025.07.14 19:00\tBounty Prizes\tlots'
+    ].join('\n'));
+
+    assert.equal(result.entries.length, 0);
+    assert.deepEqual(Array.from(result.diagnostics, ({ lineNumber, message }) => `${lineNumber}: ${message}`), [
+        '1: Unrecognised line (no journal date)',
+        '2: Journal row has too few columns',
+        '3: Could not read amount "lots"'
+    ]);
+});
+
+test('parseLoot sums stacks from the inventory detail view', () => {
+    const result = parseLoot([
+        'Name\tQuantity\tGroup\tCategory\tSize\tSlot\tVolume\tEst. Price',
+        'Tritanium\t1,000\tMineral\tMaterial\t\t\t10 m3\t4,000.00 ISK',
+        'Tritanium\t500\tMineral\tMaterial\t\t\t5 m3\t2,000.00 ISK',
+        'Large Secure Container\t\tSecure Cargo Container\tCelestial\t\t\t65 m3\t2 500 000,00 ISK'
+    ].join('\n'));
+
+    assert.deepEqual(plain([...result.items]), [['Tritanium', 1500], ['Large Secure Container', 1]]);
+    assert.deepEqual(plain([...result.estimatedPrices]), [['Tritanium', 6000], ['Large Secure Container', 2500000]]);
+    assert.equal(result.diagnostics.length, 0);
+});
+
+test('parseLoot takes plain item lines and reports unreadable quantities', () => {
+    const result = parseLoot([
+        'Mobile Tractor Unit x1',
+        'Salvager I',
+        'Scrap Metal\tmany\tSalvaged Materials'
+    ].join('\n'));
+
+    assert.deepEqual(plain([...result.items]), [['Mobile Tractor Unit', 1], ['Salvager I', 1]]);
+    assert.equal(result.estimatedPrices.size, 0);
+    assert.deepEqual(Array.from(result.diagnostics, ({ lineNumber, message }) => `${lineNumber}: ${message}`), [
+        '3: Could not read quantity "many"'
+    ]);
+});
+
+const sectionItems = (fitting, section) => Array.from(fitting.sections[section], entry => `${entry.name} x${entry.quantity}`);
+
+test('parseFitting splits modules, charges and offline modules into slot sections', () => {
+    const fitting = parseFitting([
+        '[Drake, Mission Runner]',
+        'Ballistic Control System II',
+        '[Empty Low slot]',
+        '',
+        'Large Shield Extender II',
+        '10MN Afterburner II /OFFLINE',
+        '',
+        'Heavy Missile Launcher II, Scourge Heavy Missile',
+        'Heavy Missile Launcher II, Scourge Heavy Missile',
+        '',
+        'Medium Core Defense Field Extender I'
+    ].join('\n'));
+
+    assert.equal(fitting.shipType, 'Drake');
+    assert.equal(fitting.fittingName, 'Mission Runner');
+    assert.deepEqual(sectionItems(fitting, 'low'), ['Ballistic Control System II x1']);
+    assert.deepEqual(plain(fitting.sections.mid), [
+        { name: 'Large Shield Extender II', quantity: 1, charge: null, offline: false, lineNumber: 5 },
+        { name: '10MN Afterburner II', quantity: 1, charge: null, offline: true, lineNumber: 6 }
+    ]);
+    assert.equal(fitting.sections.high[0].charge, 'Scourge Heavy Missile');
+    assert.deepEqual(sectionItems(fitting, 'rig'), ['Medium Core Defense Field Extender I x1']);
+    assert.equal(fitting.emptySlots.low, 1);
+    assert.equal(fitting.diagnostics.length, 0);
+});
+
+test('parseFitting lists the hull, modules and one of each loaded charge to value', () => {
+    const fitting = parseFitting([
+        '[Drake, Mission Runner]',
+        '[Empty Low slot]',
+        '',
+        '',
+        '',
+        'Heavy Missile Launcher II, Scourge Heavy Missile',
+        'Heavy Missile Launcher II, Scourge Heavy Missile /offline'
+    ].join('\n'));
+
+    assert.deepEqual(plain([...fitting.items]), [
+        ['Heavy Missile Launcher II', 2],
+        ['Scourge Heavy Missile', 2],
+        ['Drake', 1]
+    ]);
+});
+
+test('parseFitting places sections after a missing one by their empty slot lines', () => {
+    const fitting = parseFitting([
+        '[Rifter, Tackle]',
+        '[Empty Med slot]',
+        '',
+        '200mm AutoCannon II, EMP S'
+    ].join('\n'));
+
+    assert.deepEqual(sectionItems(fitting, 'low'), []);
+    assert.equal(fitting.emptySlots.mid, 1);
+    assert.deepEqual(sectionItems(fitting, 'high'), ['200mm AutoCannon II x1']);
+});
+
+test('parseFitting reports a missing header, stray brackets and a second fitting', () => {
+    const fitting = parseFitting([
+        'Damage Control II',
+        '[Not a slot]',
+        '',
+        '[Rifter, Another]',
+        'Gyrostabilizer II'
+    ].join('\n'));
+
+    assert.equal(fitting.shipType, '');
+    assert.deepEqual(Array.from(fitting.diagnostics, ({ lineNumber, message }) => `${lineNumber}: ${message}`), [
+        '1: Missing [Ship, Fitting name] header',
+        '4: Another fitting starts here; only the first fitting is read',
+        '2: Unrecognised line'
+    ]);
+    assert.deepEqual(plain([...fitting.items]), [['Damage Control II', 1]]);
+});
+
+test('parseFitting reads drones and cargo by the blank lines before them', () => {
+    const header = ['[Vexor, Ratter]', 'Drone Damage Amplifier II'];
+
+    const dronesOnly = parseFitting([...header, '', '', 'Hammerhead II x5'].join('\n'));
+    assert.deepEqual(sectionItems(dronesOnly, 'drone'), ['Hammerhead II x5']);
+    assert.deepEqual(sectionItems(dronesOnly, 'cargo'), []);
+
+    const cargoOnly = parseFitting([...header, '', '', '', '', 'Nanite Repair Paste x50'].join('\n'));
+    assert.deepEqual(sectionItems(cargoOnly, 'drone'), []);
+    assert.deepEqual(sectionItems(cargoOnly, 'cargo'), ['Nanite Repair Paste x50']);
+
+    // Typed by hand with single blank lines: the drone bay comes first when cargo follows
+    const both = parseFitting([...header, '', 'Hammerhead II x5', '', 'Nanite Repair Paste x50'].join('\n'));
+    assert.deepEqual(sectionItems(both, 'drone'), ['Hammerhead II x5']);
+    assert.deepEqual(sectionItems(both, 'cargo'), ['Nanite Repair Paste x50']);
+});
+
+test('parseFitting lets SDE categories decide between drones and cargo', () => {
+    const text = ['[Vexor, Ratter]', 'Drone Damage Amplifier II', '', 'Hammerhead II x5'].join('\n');
+
+    assert.deepEqual(sectionItems(parseFitting(text), 'cargo'), ['Hammerhead II x5']);
+    const fitting = parseFitting(text, { itemCategories: new Map([['Hammerhead II', 'Drone']]) });
+    assert.deepEqual(sectionItems(fitting, 'drone'), ['Hammerhead II x5']);
+    assert.deepEqual(sectionItems(fitting, 'cargo'), []);
+});
+
+test('diffFittings lists added, removed and changed items by name', () => {
+    const before = [
+        '[Drake, Mission Runner]',
+        'Ballistic Control System II',
+        '',
+        '',
+        '',
+        'Heavy Missile Launcher II, Scourge Heavy Missile',
+        'Heavy Missile Launcher II, Scourge Heavy Missile'
+    ].join('\n');
+    const after = [
+        '[Drake, Mission Runner]',
+        'Damage Control II',
+        '',
+        '',
+        '',
+        'Heavy Missile Launcher II, Nova Heavy Missile',
+        'Heavy Missile Launcher II, Nova Heavy Missile',
+        'Heavy Missile Launcher II, Nova Heavy Missile'
+    ].join('\n');
+
+    assert.deepEqual(plain(diffFittings(before, after)), {
+        added: [{ name: 'Damage Control II', quantity: 1 }, { name: 'Nova Heavy Missile', quantity: 3 }],
+        removed: [{ name: 'Ballistic Control System II', quantity: 1 }, { name: 'Scourge Heavy Missile', quantity: 2 }],
+        changed: [{ name: 'Heavy Missile Launcher II', from: 2, to: 3 }]
+    });
+});
+
+test('diffFittings finds nothing between a fitting and itself', () => {
+    const fitting = '[Rifter, Tackle]\nDamage Control II';
+
+    assert.deepEqual(plain(diffFittings(fitting, fitting)), { added: [], removed: [], changed: [] });
+    assert.deepEqual(plain(diffFittings('', fitting).added), [
+        { name: 'Damage Control II', quantity: 1 },
+        { name: 'Rifter', quantity: 1 }
+    ]);
+});
+
+test('splitFittingsFile splits EFT fittings one after another', () => {
+    const fittings = splitFittingsFile([
+        'Exported from Pyfa',
+        '',
+        '[Rifter, Tackle]',
+        'Damage Control II',
+        '[Empty Med slot]',
+        '',
+        '[Vexor, Ratter]',
+        'Drone Damage Amplifier II',
+        ''
+    ].join('\n'), 'fittings.txt');
+
+    assert.deepEqual(Array.from(fittings), [
+        'Exported from Pyfa',
+        '[Rifter, Tackle]\nDamage Control II\n[Empty Med slot]',
+        '[Vexor, Ratter]\nDrone Damage Amplifier II'
+    ]);
+});
+
+test('buildXmlFitting sorts hardware into sections by slot number', () => {
+    const fitting = buildXmlFitting(' Drake ', 'Mission Runner', [
+        { slot: 'hi slot 1', type: 'Heavy Missile Launcher II', qty: '1' },
+        { slot: 'hi slot 0', type: 'Rapid Light Missile Launcher II', qty: '1' },
+        { slot: 'drone bay', type: 'Hobgoblin II', qty: '2' },
+        { slot: 'service slot 0', type: 'Standup Market Hub I', qty: '' },
+        { slot: 'cargo', type: ' ', qty: '5' }
+    ]);
+
+    assert.equal(fitting.shipType, 'Drake');
+    assert.deepEqual(sectionItems(fitting, 'high'), ['Rapid Light Missile Launcher II x1', 'Heavy Missile Launcher II x1']);
+    assert.deepEqual(sectionItems(fitting, 'drone'), ['Hobgoblin II x2']);
+    assert.deepEqual(sectionItems(fitting, 'cargo'), ['Standup Market Hub I x1']);
+    // Low and mid slots hold the high slots' place once written as EFT
+    assert.deepEqual(plain(fitting.emptySlots), { low: 1, mid: 1, high: 0, rig: 0, subsystem: 0 });
+});
+
+test('XML drone bay and cargo stay apart once stored as EFT', () => {
+    const hardware = [
+        { slot: 'low slot 0', type: 'Drone Damage Amplifier II', qty: '1' },
+        { slot: 'drone bay', type: 'Hammerhead II', qty: '5' }
+    ];
+
+    const dronesOnly = parseFitting(formatEft(buildXmlFitting('Vexor', 'Ratter', hardware)));
+    assert.deepEqual(sectionItems(dronesOnly, 'drone'), ['Hammerhead II x5']);
+    assert.deepEqual(sectionItems(dronesOnly, 'cargo'), []);
+
+    const cargoOnly = parseFitting(formatEft(buildXmlFitting('Vexor', 'Ratter', [
+        hardware[0],
+        { slot: 'cargo', type: 'Nanite Repair Paste', qty: '50' }
+    ])));
+    assert.deepEqual(sectionItems(cargoOnly, 'drone'), []);
+    assert.deepEqual(sectionItems(cargoOnly, 'cargo'), ['Nanite Repair Paste x50']);
+});
+
+const VEXOR = [
+    '[Vexor, Ratter]',
+    'Drone Damage Amplifier II',
+    '',
+    '',
+    '',
+    'Heavy Ion Blaster II, Void M',
+    'Heavy Ion Blaster II, Void M',
+    '',
+    '',
+    'Hammerhead II x5',
+    '',
+    '',
+    'Nanite Repair Paste x50'
+].join('\n');
+
+test('buildFittingChecklist lists loaded charges, drones and cargo', () => {
+    assert.deepEqual(Array.from(buildFittingChecklist(parseFitting(VEXOR)), entry => entry.text), [
+        'Void M loaded in 2 modules',
+        'Hammerhead II x5 in drone bay',
+        'Nanite Repair Paste x50 in cargo'
+    ]);
+    assert.deepEqual(plain(buildFittingChecklist(parseFitting(VEXOR))[0].source), { section: 'charge', name: 'Void M', quantity: 2 });
+});
+
+test('checkChecklistAgainstFitting flags changed and removed items, not hand-written ones', () => {
+    const checklist = [
+        { text: 'Void M loaded in 3 modules', source: { section: 'charge', name: 'Void M', quantity: 3 } },
+        { text: 'Hobgoblin II x5 in drone bay', source: { section: 'drone', name: 'Hobgoblin II', quantity: 5 } },
+        { text: 'Nanite Repair Paste x50 in cargo', source: { section: 'cargo', name: 'Nanite Repair Paste', quantity: 50 } },
+        { text: 'Bring snacks', source: null }
+    ];
+
+    assert.deepEqual(Array.from(checkChecklistAgainstFitting(checklist, parseFitting(VEXOR))), [
+        'Fitting now has Void M loaded in 2 modules',
+        'No longer in the fitting',
+        null,
+        null
+    ]);
+});
+
+test('checklist items match drones and cargo by name across the two bays', () => {
+    const fitting = parseFitting(['[Vexor, Ratter]', 'Drone Damage Amplifier II', '', '', 'Hammerhead II x5'].join('\n'));
+    const quantities = countChecklistQuantities(fitting);
+
+    assert.deepEqual(plain(findChecklistSource(quantities, { section: 'cargo', name: 'Hammerhead II', quantity: 5 })),
+        { section: 'drone', name: 'Hammerhead II', quantity: 5 });
+    assert.equal(findChecklistSource(quantities, { section: 'charge', name: 'Hammerhead II', quantity: 5 }), null);
+    assert.deepEqual(Array.from(checkChecklistAgainstFitting([
+        { text: 'Hammerhead II x5 in cargo', source: { section: 'cargo', name: 'Hammerhead II', quantity: 5 } },
+        { text: 'Hammerhead II x5 in drone bay', source: { section: 'drone', name: 'Hammerhead II', quantity: 5 } }
+    ], fitting)), ['Fitting now has Hammerhead II x5 in drone bay', null]);
+});